@@ -1,4 +1,17 @@
-class Animal extends Entity {
+import Victor from "victor";
+import { Entity } from "./Entity.js";
+import { Seasons } from "./Seasons.js";
+
+export class Animal extends Entity {
+  // How much animals wander in each phase of the day (they rest at night)
+  static activity = { dawn: 1, day: 1, dusk: 0.7, night: 0.25 };
+
+  // Offspring per animal and in-game hour, scaled by the season
+  static reproductionRate = 0.02;
+  // No offspring with this many animals nearby or in the world
+  static crowdLimit = 3;
+  static maxPopulation = 60;
+
   constructor(x = 0, y = 0, game = null) {
     super(x, y, game);
 
@@ -17,12 +30,11 @@ class Animal extends Entity {
     const animalColors = [
       0xff6b6b, 0x4ecdc4, 0x45b7d1, 0x96ceb4, 0xffeaa7, 0xdda0dd,
     ];
-    const randomColor =
-      animalColors[Math.floor(Math.random() * animalColors.length)];
-    this.setAppearance(randomColor, 12, 12);
+    this.color = this.game.random.pick(animalColors);
+    this.setAppearance(this.color, 12, 12);
 
     // Wander behavior
-    this.wanderAngle = Math.random() * Math.PI * 2;
+    this.wanderAngle = this.game.random.next() * Math.PI * 2;
     this.wanderRadius = 25;
     this.wanderDistance = 40;
     this.wanderChangeRate = 0.1;
@@ -100,7 +112,7 @@ class Animal extends Entity {
    */
   calculateWanderForce() {
     // Change wander angle slightly each frame
-    this.wanderAngle += (Math.random() - 0.5) * this.wanderChangeRate;
+    this.wanderAngle += (this.game.random.next() - 0.5) * this.wanderChangeRate;
 
     // Calculate wander target position
     const futurePosition = this.position
@@ -141,10 +153,60 @@ class Animal extends Entity {
     // Apply forces with different weights
     this.applyForce(separationForce.multiplyScalar(1.0)); // Separation is highest priority
     this.applyForce(flowfieldForce.multiplyScalar(0.7)); // Flowfield is medium priority
-    this.applyForce(wanderForce.multiplyScalar(0.3)); // Wander is lowest priority
+    this.applyForce(wanderForce.multiplyScalar(0.3 * this.getActivity())); // Wander is lowest priority
 
     // Call parent update
     super.update(deltaTime);
+
+    this.tryReproduce(deltaTime);
+  }
+
+  /**
+   * Maybe have an offspring next to the animal. How often depends on the
+   * season and the time of day; crowded places and a full world stop it.
+   * @param {number} deltaTime - Time since last update in seconds
+   * @returns {Animal|null} The offspring, if one was born
+   */
+  tryReproduce(deltaTime) {
+    const game = this.game;
+    if (!game) return null;
+
+    const chance =
+      Animal.reproductionRate *
+      Seasons.get(game.clock.season).reproduction *
+      this.getActivity() *
+      game.clock.toHours(deltaTime);
+    if (chance <= 0 || game.random.next() >= chance) return null;
+
+    if (
+      game.animals.size >= Animal.maxPopulation ||
+      this.getNearbyAnimals().length >= Animal.crowdLimit
+    ) {
+      return null;
+    }
+
+    const angle = game.random.next() * Math.PI * 2;
+    const distance = this.separationRadius / 2;
+    return Animal.createRandom(
+      this.position.x + Math.cos(angle) * distance,
+      this.position.y + Math.sin(angle) * distance,
+      game
+    );
+  }
+
+  /**
+   * Get how active the animal is at the current time of day and season,
+   * and under the weather where it stands
+   * @returns {number} Activity (0-1)
+   */
+  getActivity() {
+    const clock = this.game.clock;
+    const daily = Animal.activity[clock.phase] ?? 1;
+    const weather = this.game.weather.getAnimalActivity(
+      this.position.x,
+      this.position.y
+    );
+    return daily * Seasons.get(clock.season).animalActivity * weather;
   }
 
   /**
@@ -162,9 +224,47 @@ class Animal extends Entity {
       nearbyAnimalsCount: nearbyAnimals.length,
       wanderAngle: this.wanderAngle,
       flowfieldStrength: this.flowfieldStrength,
+      activity: this.getActivity(),
     };
   }
 
+  /**
+   * Get the state needed to recreate this animal, including its wandering
+   * @returns {Object} Plain object, safe to store as JSON
+   */
+  serialize() {
+    return {
+      ...super.serialize(),
+      color: this.color,
+      wanderAngle: this.wanderAngle,
+    };
+  }
+
+  /**
+   * Recreate an animal from serialize() data
+   * @param {Object} data - Serialized animal
+   * @param {World} game - World to add the animal to
+   * @returns {Animal} The new animal
+   */
+  static deserialize(data, game) {
+    const animal = new Animal(data.position.x, data.position.y, game);
+    animal.restoreState(data);
+    return animal;
+  }
+
+  /**
+   * Apply serialized state, including color and wander direction
+   * @param {Object} data - Serialized animal
+   */
+  restoreState(data) {
+    super.restoreState(data);
+    if (data.color !== undefined) {
+      this.color = data.color;
+      this.setAppearance(this.color, 12, 12);
+    }
+    this.wanderAngle = data.wanderAngle ?? this.wanderAngle;
+  }
+
   /**
    * Factory method to create a random animal at a position
    * @param {number} x - X position
@@ -177,8 +277,8 @@ class Animal extends Entity {
 
     // Add some random initial velocity
     const randomVelocity = new Victor(
-      (Math.random() - 0.5) * 40,
-      (Math.random() - 0.5) * 40
+      game.random.range(-20, 20),
+      game.random.range(-20, 20)
     );
     animal.setVelocity(randomVelocity.x, randomVelocity.y);
 
@@ -0,0 +1,162 @@
+import { Biomes } from "./Biomes.js";
+import { SeededRandom } from "./seededRandom.js";
+
+/**
+ * Picks terrain tiles from a cell's neighbours (marching squares on the
+ * cell corners) and synthesizes the default tiles. Renderer-agnostic: the
+ * PIXI side lives in Tileset.
+ *
+ * Every cell gets a base tile of its own biome, then one transition tile
+ * per neighbouring biome that is drawn over it. Biomes later in
+ * Biomes.table are drawn over earlier ones (e.g. beach over water), and
+ * only neighbours on the same height level blend, since cliffs already
+ * separate the others. A transition's shape comes from a 4-bit corner
+ * mask: a corner is set when any other cell touching it has that biome.
+ */
+export class Autotiler {
+  // Corner bits of a transition mask
+  static NW = 1;
+  static NE = 2;
+  static SE = 4;
+  static SW = 8;
+
+  // How far (fraction of a cell) a transition reaches in from an edge
+  static coverage = 0.3;
+  // Width of the soft border of transitions, as a fraction of a cell
+  static softness = 0.08;
+
+  // Brightness range of the speckles on generated base tiles
+  static speckle = [0.86, 1];
+  // Side in pixels of one speckle on generated base tiles
+  static speckleSize = 2;
+
+  // Mixed into the seed so tile variants do not correlate with trees
+  static variantSalt = 0x7e11;
+
+  // Neighbour offsets and the corners they touch
+  static neighbors = [
+    [-1, -1, Autotiler.NW],
+    [0, -1, Autotiler.NW | Autotiler.NE],
+    [1, -1, Autotiler.NE],
+    [1, 0, Autotiler.NE | Autotiler.SE],
+    [1, 1, Autotiler.SE],
+    [0, 1, Autotiler.SE | Autotiler.SW],
+    [-1, 1, Autotiler.SW],
+    [-1, 0, Autotiler.SW | Autotiler.NW],
+  ];
+
+  /**
+   * Get the transitions to draw over a cell's base tile
+   * @param {Cell} cell - The cell
+   * @param {Grid} grid - Grid to look up the (loaded) neighbours in
+   * @returns {Array} [{biome, mask}] in drawing order, empty if none
+   */
+  static getTransitions(cell, grid) {
+    const ownLayer = Biomes.getIndex(cell.biome.name);
+    const masks = new Map(); // biome layer -> mask
+
+    for (const [dx, dy, corners] of Autotiler.neighbors) {
+      const neighbor = grid.getLoadedCell(cell.x + dx, cell.y + dy);
+      if (!neighbor || neighbor.level !== cell.level) continue;
+
+      const layer = Biomes.getIndex(neighbor.biome.name);
+      if (layer <= ownLayer) continue;
+      masks.set(layer, (masks.get(layer) || 0) | corners);
+    }
+
+    return [...masks.entries()]
+      .sort((a, b) => a[0] - b[0])
+      .map(([layer, mask]) => ({ biome: Biomes.get(layer), mask }));
+  }
+
+  /**
+   * Pick one of a tile's variants for a cell. Depends only on the seed and
+   * the cell coordinates, so a cell always looks the same.
+   * @param {number|string} seed - World seed
+   * @param {Cell} cell - The cell
+   * @param {number} count - Number of variants
+   * @returns {number} Variant index
+   */
+  static getVariant(seed, cell, count) {
+    return (
+      SeededRandom.hash(seed, cell.x, cell.y, Autotiler.variantSalt) % count
+    );
+  }
+
+  /**
+   * Opacity of a transition tile at a point: the corner values are
+   * interpolated across the cell and cut with a soft threshold, so
+   * straight edges stay straight and corners come out rounded
+   * @param {number} mask - Corner mask (1-15)
+   * @param {number} u - Horizontal position in the cell (0-1)
+   * @param {number} v - Vertical position in the cell (0-1)
+   * @returns {number} Opacity (0-1)
+   */
+  static getTransitionAlpha(mask, u, v) {
+    const corner = (bit) => (mask & bit ? 1 : 0);
+    const top = corner(Autotiler.NW) * (1 - u) + corner(Autotiler.NE) * u;
+    const bottom = corner(Autotiler.SW) * (1 - u) + corner(Autotiler.SE) * u;
+    const value = top * (1 - v) + bottom * v;
+
+    const threshold = 1 - Autotiler.coverage;
+    const t = (value - threshold) / Autotiler.softness + 0.5;
+    const clamped = Math.max(0, Math.min(1, t));
+    return clamped * clamped * (3 - 2 * clamped);
+  }
+
+  /**
+   * Create the RGBA pixels of a transition tile: white, with the opacity
+   * of getTransitionAlpha(), to be tinted with the biome's color
+   * @param {number} mask - Corner mask (1-15)
+   * @param {number} size - Tile side in pixels
+   * @returns {Uint8Array} RGBA pixels
+   */
+  static createTransitionPixels(mask, size) {
+    const pixels = new Uint8Array(size * size * 4);
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        const alpha = Autotiler.getTransitionAlpha(
+          mask,
+          (x + 0.5) / size,
+          (y + 0.5) / size
+        );
+        const index = (y * size + x) * 4;
+        pixels[index] = 255;
+        pixels[index + 1] = 255;
+        pixels[index + 2] = 255;
+        pixels[index + 3] = Math.round(alpha * 255);
+      }
+    }
+    return pixels;
+  }
+
+  /**
+   * Create the RGBA pixels of a base tile variant: light gray speckles, to
+   * be tinted with the cell's color
+   * @param {number} size - Tile side in pixels
+   * @param {SeededRandom} random - Generator for the speckles
+   * @returns {Uint8Array} RGBA pixels
+   */
+  static createBasePixels(size, random) {
+    const pixels = new Uint8Array(size * size * 4);
+    const [min, max] = Autotiler.speckle;
+    const speckleSize = Autotiler.speckleSize;
+
+    for (let blockY = 0; blockY < size; blockY += speckleSize) {
+      for (let blockX = 0; blockX < size; blockX += speckleSize) {
+        const value = Math.round(random.range(min, max) * 255);
+
+        for (let y = blockY; y < Math.min(size, blockY + speckleSize); y++) {
+          for (let x = blockX; x < Math.min(size, blockX + speckleSize); x++) {
+            const index = (y * size + x) * 4;
+            pixels[index] = value;
+            pixels[index + 1] = value;
+            pixels[index + 2] = value;
+            pixels[index + 3] = 255;
+          }
+        }
+      }
+    }
+    return pixels;
+  }
+}
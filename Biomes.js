@@ -0,0 +1,159 @@
+/**
+ * Data-driven biome table. Biomes are matched in order: height bands first
+ * (water, beach, swamp, alpine), then a Whittaker-style
+ * temperature x moisture grid that covers every remaining combination.
+ * A biome's index in the table is the code stored in chunk data.
+ */
+export class Biomes {
+  static table = [
+    {
+      name: "water",
+      color: { r: 30, g: 90, b: 200 },
+      height: [0, 0.4],
+      trees: { density: 0, types: [] },
+      animalDensity: 0,
+    },
+    {
+      name: "beach",
+      color: { r: 235, g: 220, b: 150 },
+      height: [0.4, 0.45],
+      trees: { density: 0.3, types: ["palm"] },
+      animalDensity: 0.2,
+    },
+    {
+      name: "swamp",
+      color: { r: 70, g: 100, b: 70 },
+      height: [0.45, 0.52],
+      temperature: [0.3, 1],
+      moisture: [0.7, 1],
+      trees: { density: 0.8, types: ["birch", "maple"] },
+      animalDensity: 0.6,
+    },
+    {
+      name: "alpine",
+      color: { r: 200, g: 200, b: 210 },
+      height: [0.75, 1],
+      trees: { density: 0.2, types: ["pine"] },
+      animalDensity: 0.2,
+    },
+    {
+      name: "tundra",
+      color: { r: 220, g: 230, b: 235 },
+      temperature: [0, 0.2],
+      trees: { density: 0.1, types: ["pine"] },
+      animalDensity: 0.3,
+    },
+    {
+      name: "taiga",
+      color: { r: 60, g: 110, b: 90 },
+      temperature: [0.2, 0.35],
+      trees: { density: 1.5, types: ["pine", "birch"] },
+      animalDensity: 0.7,
+    },
+    {
+      name: "grassland",
+      color: { r: 140, g: 190, b: 90 },
+      temperature: [0.35, 0.65],
+      moisture: [0, 0.4],
+      trees: { density: 0.4, types: ["oak", "birch"] },
+      animalDensity: 1,
+    },
+    {
+      name: "temperate forest",
+      color: { r: 60, g: 140, b: 60 },
+      temperature: [0.35, 0.65],
+      moisture: [0.4, 1],
+      trees: { density: 1.5, types: ["oak", "maple", "birch"] },
+      animalDensity: 0.8,
+    },
+    {
+      name: "desert",
+      color: { r: 225, g: 200, b: 120 },
+      temperature: [0.65, 1],
+      moisture: [0, 0.3],
+      trees: { density: 0.05, types: ["palm"] },
+      animalDensity: 0.1,
+    },
+    {
+      name: "savanna",
+      color: { r: 190, g: 180, b: 90 },
+      temperature: [0.65, 1],
+      moisture: [0.3, 0.6],
+      trees: { density: 0.3, types: ["palm", "oak"] },
+      animalDensity: 1,
+    },
+    {
+      name: "rainforest",
+      color: { r: 30, g: 120, b: 40 },
+      temperature: [0.65, 1],
+      moisture: [0.6, 1],
+      trees: { density: 2, types: ["palm", "oak", "maple"] },
+      animalDensity: 0.7,
+    },
+  ];
+
+  /**
+   * Check whether a value falls inside an optional [min, max) range
+   * @param {number} value - The value
+   * @param {Array} range - [min, max] or undefined (matches anything)
+   * @returns {boolean}
+   */
+  static inRange(value, range) {
+    if (!range) return true;
+    // The top of the 0-1 scale belongs to the last band
+    return value >= range[0] && (value < range[1] || range[1] >= 1);
+  }
+
+  /**
+   * Get the biome code for a combination of terrain properties
+   * @param {number} height - Height value (0-1)
+   * @param {number} temperature - Temperature value (0-1)
+   * @param {number} moisture - Moisture value (0-1)
+   * @returns {number} Index into Biomes.table
+   */
+  static classify(height, temperature, moisture) {
+    const index = Biomes.table.findIndex(
+      (biome) =>
+        Biomes.inRange(height, biome.height) &&
+        Biomes.inRange(temperature, biome.temperature) &&
+        Biomes.inRange(moisture, biome.moisture)
+    );
+    return index === -1 ? Biomes.getIndex("grassland") : index;
+  }
+
+  /**
+   * Get a biome's color shaded by height, so relief stays visible inside it
+   * @param {Object} biome - Biome definition
+   * @param {number} height - Height value (0-1)
+   * @returns {Object} Object with r, g, b properties (0-255)
+   */
+  static getColor(biome, height) {
+    const { r, g, b } = biome.color;
+    const shade = 0.75 + height * 0.5;
+    const channel = (value) => Math.min(255, Math.floor(value * shade));
+
+    return {
+      r: channel(r),
+      g: channel(g),
+      b: channel(b),
+    };
+  }
+
+  /**
+   * Get a biome definition by code
+   * @param {number} code - Index into Biomes.table
+   * @returns {Object} Biome definition
+   */
+  static get(code) {
+    return Biomes.table[code] || Biomes.table[Biomes.getIndex("grassland")];
+  }
+
+  /**
+   * Get the code of the first biome with the given name
+   * @param {string} name - Biome name
+   * @returns {number} Index into Biomes.table, or -1
+   */
+  static getIndex(name) {
+    return Biomes.table.findIndex((biome) => biome.name === name);
+  }
+}
@@ -0,0 +1,303 @@
+import { SeededRandom } from "./seededRandom.js";
+
+/**
+ * World-space camera: position, zoom, smooth following of a target with a
+ * dead-zone, screen shake and optional clamping to world bounds.
+ * It has no PIXI or DOM dependency; Game applies it to its containers and
+ * feeds it wheel/pinch input, headless worlds simply move it around.
+ */
+export class Camera {
+  constructor(options = {}) {
+    // Center of the view in world coordinates
+    this.x = options.x || 0;
+    this.y = options.y || 0;
+
+    // Zoom is the scale applied to the world (2 = everything twice as big)
+    this.minZoom = options.minZoom ?? 0.5;
+    this.maxZoom = options.maxZoom ?? 4;
+    this.zoom = this.clampZoom(options.zoom ?? 1);
+
+    // Size of the view in screen pixels (set by the renderer)
+    this.viewWidth = options.viewWidth || 0;
+    this.viewHeight = options.viewHeight || 0;
+
+    // Following: "damped" (critically damped spring) or "lerp"
+    this.target = null;
+    this.followMode = options.followMode || "damped";
+    this.smoothTime = options.smoothTime ?? 0.25; // Seconds to catch up (damped)
+    this.followSpeed = options.followSpeed ?? 5; // Catch-up rate per second (lerp)
+    // The target can move inside this box (world pixels) without moving the camera
+    this.deadZone = options.deadZone || { width: 0, height: 0 };
+    this.velocity = { x: 0, y: 0 };
+
+    // Optional world limits in world pixels {minX, minY, maxX, maxY}
+    this.bounds = options.bounds || null;
+
+    // Screen shake; its own generator keeps the world's random sequence intact
+    this.random = new SeededRandom(options.seed ?? 0);
+    this.shakeIntensity = 0;
+    this.shakeDuration = 0;
+    this.shakeTime = 0;
+    this.shakeOffset = { x: 0, y: 0 };
+  }
+
+  /**
+   * Set the size of the view in screen pixels
+   * @param {number} width - View width
+   * @param {number} height - View height
+   */
+  setViewport(width, height) {
+    this.viewWidth = width;
+    this.viewHeight = height;
+    this.clampToBounds();
+  }
+
+  /**
+   * Move the camera right away, without smoothing
+   * @param {number} x - World X coordinate
+   * @param {number} y - World Y coordinate
+   */
+  setPosition(x, y) {
+    this.x = x;
+    this.y = y;
+    this.velocity.x = 0;
+    this.velocity.y = 0;
+    this.clampToBounds();
+  }
+
+  /**
+   * Follow a target smoothly. Anything with x/y or position.x/position.y works.
+   * @param {Object|null} target - Entity or point to follow (null to stop)
+   * @param {boolean} snap - Jump to the target right away
+   */
+  follow(target, snap = false) {
+    this.target = target;
+    if (target && snap) {
+      const position = Camera.getTargetPosition(target);
+      this.setPosition(position.x, position.y);
+    }
+  }
+
+  /**
+   * Get the world position of a follow target
+   * @param {Object} target - Entity or point
+   * @returns {Object} {x, y}
+   */
+  static getTargetPosition(target) {
+    return target.position || target;
+  }
+
+  /**
+   * Clamp a zoom level to the allowed range
+   * @param {number} zoom - Zoom level
+   * @returns {number} Clamped zoom level
+   */
+  clampZoom(zoom) {
+    return Math.min(this.maxZoom, Math.max(this.minZoom, zoom));
+  }
+
+  /**
+   * Set the zoom level, keeping the view centered
+   * @param {number} zoom - Zoom level
+   */
+  setZoom(zoom) {
+    this.zoom = this.clampZoom(zoom);
+    this.clampToBounds();
+  }
+
+  /**
+   * Zoom by a factor around a screen point, which keeps showing the same
+   * world point (e.g. the mouse cursor while using the wheel)
+   * @param {number} screenX - Screen X coordinate
+   * @param {number} screenY - Screen Y coordinate
+   * @param {number} factor - Zoom multiplier (> 1 zooms in)
+   */
+  zoomAt(screenX, screenY, factor) {
+    const before = this.screenToWorld(screenX, screenY);
+    this.zoom = this.clampZoom(this.zoom * factor);
+    const after = this.screenToWorld(screenX, screenY);
+
+    this.x += before.x - after.x;
+    this.y += before.y - after.y;
+    this.clampToBounds();
+  }
+
+  /**
+   * Shake the view. Stronger shakes replace weaker ones still running.
+   * @param {number} intensity - Maximum offset in screen pixels
+   * @param {number} duration - Duration in seconds
+   */
+  shake(intensity, duration = 0.3) {
+    const remaining =
+      this.shakeTime < this.shakeDuration
+        ? this.shakeIntensity * (1 - this.shakeTime / this.shakeDuration)
+        : 0;
+    if (remaining > intensity) return;
+
+    this.shakeIntensity = intensity;
+    this.shakeDuration = duration;
+    this.shakeTime = 0;
+  }
+
+  /**
+   * Advance following and shake
+   * @param {number} deltaTime - Time since last update in seconds
+   */
+  update(deltaTime) {
+    if (this.target) {
+      const goal = this.getFollowGoal();
+      if (this.followMode === "lerp") {
+        const t = 1 - Math.exp(-this.followSpeed * deltaTime);
+        this.x += (goal.x - this.x) * t;
+        this.y += (goal.y - this.y) * t;
+      } else {
+        this.x = this.smoothDamp(this.x, goal.x, "x", deltaTime);
+        this.y = this.smoothDamp(this.y, goal.y, "y", deltaTime);
+      }
+      this.clampToBounds();
+    }
+
+    this.updateShake(deltaTime);
+  }
+
+  /**
+   * Closest camera position that keeps the target inside the dead-zone
+   * @returns {Object} {x, y}
+   */
+  getFollowGoal() {
+    const target = Camera.getTargetPosition(this.target);
+    const halfWidth = this.deadZone.width / 2;
+    const halfHeight = this.deadZone.height / 2;
+
+    return {
+      x: Math.min(target.x + halfWidth, Math.max(target.x - halfWidth, this.x)),
+      y: Math.min(
+        target.y + halfHeight,
+        Math.max(target.y - halfHeight, this.y)
+      ),
+    };
+  }
+
+  /**
+   * Critically damped spring step towards a goal (no overshoot)
+   * @param {number} current - Current value
+   * @param {number} goal - Goal value
+   * @param {string} axis - "x" or "y", selects the velocity component
+   * @param {number} deltaTime - Time step in seconds
+   * @returns {number} New value
+   */
+  smoothDamp(current, goal, axis, deltaTime) {
+    const omega = 2 / Math.max(0.0001, this.smoothTime);
+    const x = omega * deltaTime;
+    const decay = 1 / (1 + x + 0.48 * x * x + 0.235 * x * x * x);
+    const change = current - goal;
+    const temp = (this.velocity[axis] + omega * change) * deltaTime;
+
+    this.velocity[axis] = (this.velocity[axis] - omega * temp) * decay;
+    return goal + (change + temp) * decay;
+  }
+
+  /**
+   * Advance the screen shake and pick this frame's offset
+   * @param {number} deltaTime - Time step in seconds
+   */
+  updateShake(deltaTime) {
+    if (this.shakeTime >= this.shakeDuration) {
+      this.shakeOffset.x = 0;
+      this.shakeOffset.y = 0;
+      return;
+    }
+
+    this.shakeTime += deltaTime;
+    const strength =
+      this.shakeIntensity *
+      Math.max(0, 1 - this.shakeTime / this.shakeDuration);
+    this.shakeOffset.x = this.random.range(-strength, strength);
+    this.shakeOffset.y = this.random.range(-strength, strength);
+  }
+
+  /**
+   * Keep the view inside the world bounds. A view larger than the bounds
+   * is centered on them.
+   */
+  clampToBounds() {
+    if (!this.bounds) return;
+
+    const halfWidth = this.viewWidth / 2 / this.zoom;
+    const halfHeight = this.viewHeight / 2 / this.zoom;
+    const { minX, minY, maxX, maxY } = this.bounds;
+
+    this.x =
+      maxX - minX <= halfWidth * 2
+        ? (minX + maxX) / 2
+        : Math.min(maxX - halfWidth, Math.max(minX + halfWidth, this.x));
+    this.y =
+      maxY - minY <= halfHeight * 2
+        ? (minY + maxY) / 2
+        : Math.min(maxY - halfHeight, Math.max(minY + halfHeight, this.y));
+  }
+
+  /**
+   * Convert screen coordinates to world coordinates
+   * @param {number} screenX - Screen X coordinate
+   * @param {number} screenY - Screen Y coordinate
+   * @returns {Object} World coordinates {x, y}
+   */
+  screenToWorld(screenX, screenY) {
+    return {
+      x:
+        (screenX - this.viewWidth / 2 - this.shakeOffset.x) / this.zoom +
+        this.x,
+      y:
+        (screenY - this.viewHeight / 2 - this.shakeOffset.y) / this.zoom +
+        this.y,
+    };
+  }
+
+  /**
+   * Convert world coordinates to screen coordinates
+   * @param {number} worldX - World X coordinate
+   * @param {number} worldY - World Y coordinate
+   * @returns {Object} Screen coordinates {x, y}
+   */
+  worldToScreen(worldX, worldY) {
+    return {
+      x:
+        (worldX - this.x) * this.zoom + this.viewWidth / 2 + this.shakeOffset.x,
+      y:
+        (worldY - this.y) * this.zoom +
+        this.viewHeight / 2 +
+        this.shakeOffset.y,
+    };
+  }
+
+  /**
+   * Get the world area shown in the view
+   * @param {number} padding - Extra margin in world pixels on every side
+   * @returns {Object} {minX, minY, maxX, maxY} in world coordinates
+   */
+  getVisibleBounds(padding = 0) {
+    const halfWidth = this.viewWidth / 2 / this.zoom;
+    const halfHeight = this.viewHeight / 2 / this.zoom;
+    return {
+      minX: this.x - halfWidth - padding,
+      minY: this.y - halfHeight - padding,
+      maxX: this.x + halfWidth + padding,
+      maxY: this.y + halfHeight + padding,
+    };
+  }
+
+  /**
+   * Get debug information about the camera
+   * @returns {Object} Debug information
+   */
+  getDebugInfo() {
+    return {
+      x: this.x,
+      y: this.y,
+      zoom: this.zoom,
+      following: this.target !== null,
+      shaking: this.shakeTime < this.shakeDuration,
+    };
+  }
+}
@@ -1,68 +1,170 @@
-class Cell {
-  constructor(x, y, cellSize = 64, grid) {
+import Victor from "victor";
+import { SeededRandom } from "./seededRandom.js";
+import { Biomes } from "./Biomes.js";
+import { Hydrology } from "./Hydrology.js";
+import { Tree } from "./Tree.js";
+import { Seasons } from "./Seasons.js";
+
+export class Cell {
+  // Terrain properties that can be edited and are kept in saves
+  static savedFields = ["height", "temperature", "soilFertility", "moisture"];
+
+  // Land is quantized into this many height levels above the sea, so the
+  // terrain reads as terraces separated by cliffs
+  static heightLevels = 6;
+  // Top of the water biome's height range; water and low land are level 0
+  static seaLevel = 0.4;
+  // Screen height of one level, as a fraction of the cell size
+  static levelHeight = 0.25;
+  // Fraction of a cell around each border over which entities blend between
+  // the two cells' elevations
+  static elevationBlend = 0.25;
+
+  constructor(x, y, cellSize = 64, grid, data = null) {
     this.grid = grid;
+    this.chunk = null; // Set by the grid when the cell is registered
     this.x = x;
     this.y = y;
     this.cellSize = cellSize;
     this.entities = new Set(); // Use Set for O(1) add/remove operations
+    this.trees = new Set(); // Trees spawned by this cell, destroyed with it
+    this.treesRestored = false; // Trees came from a save instead of the seed
 
     // Optional: Visual representation for debugging
     this.worldX = x * cellSize;
     this.worldY = y * cellSize;
 
-    // Generate terrain properties using Perlin noise
-    // Use frequencies from the grid configuration
-    const soilScale = x * this.grid.noiseFrequencies.soilFertility;
-    const heightScale = x * this.grid.noiseFrequencies.height;
-    const temperatureScale = x * this.grid.noiseFrequencies.temperature;
+    // Set by markDirty() once the terrain is edited after generation
+    this.modified = false;
+    // Built before its chunk was generated, from approximate terrain; the
+    // grid replaces it with the chunk's data once it arrives
+    this.provisional = false;
 
-    const soilScaleY = y * this.grid.noiseFrequencies.soilFertility;
-    const heightScaleY = y * this.grid.noiseFrequencies.height;
-    const temperatureScaleY = y * this.grid.noiseFrequencies.temperature;
+    // Height level and the matching screen offset, set by updateTerrainFlags()
+    this.level = 0;
+    this.z = 0;
 
-    // Generate properties using different noise generators and frequencies
-    this.soilFertility = this.grid.soilNoiseGenerator.noise(
-      soilScale,
-      soilScaleY
-    );
-    this.height = this.grid.heightNoiseGenerator.noise(
-      heightScale,
-      heightScaleY
-    );
-    this.temperature = this.grid.temperatureNoiseGenerator.noise(
-      temperatureScale,
-      temperatureScaleY
-    );
-
-    this.z = 0; //this.height * cellSize * this.grid.game.cellSizeFactorToHeight;
+    // Terrain properties come from chunk data (usually generated in the
+    // terrain worker) or are sampled here using each layer's noise recipe
+    this.setTerrain(data || this.grid.terrain.sampleCell(x, y));
+  }
 
-    this.water = this.height < 0.4;
-    this.beach = this.height > 0.4 && this.height < 0.45;
-    this.frozen = this.temperature < 0.3;
-    this.desert = this.temperature > 0.7;
+  /**
+   * Set the terrain properties, rivers and flow direction of the cell
+   * @param {Object} terrain - Cell terrain from Chunk.getCellData() or
+   *   TerrainGenerator.sampleCell()
+   */
+  setTerrain(terrain) {
+    this.soilFertility = terrain.soilFertility;
+    this.height = terrain.height;
+    this.temperature = terrain.temperature;
+    this.moisture = terrain.moisture;
+
+    // Biome definition from the data-driven table (name, color, spawn rules)
+    this.biome = Biomes.get(terrain.biome);
+
+    this.updateTerrainFlags();
+
+    // Hydrology: flow accumulation is the water of every river crossing the
+    // cell, and the river leaves towards riverDirection (a neighbour offset)
+    this.flowAccumulation = terrain.flowAccumulation || 0;
+    this.river = this.flowAccumulation > 0;
+    this.riverDirection = this.river
+      ? Hydrology.directions[terrain.riverDirection]
+      : null;
+    this.lake = Boolean(terrain.lake);
 
     // Flow direction vector - points to the neighboring cell with lowest height (using Victor.js)
-    this.flowDirection = new Victor(0, 0);
-    this.flowDirectionCalculated = false;
+    // Chunk data already contains it, computed with all neighbours available
+    if (terrain.flowX !== undefined) {
+      this.flowDirection = new Victor(terrain.flowX, terrain.flowY);
+      this.flowDirectionCalculated = true;
+    } else {
+      this.flowDirection = new Victor(0, 0);
+      this.flowDirectionCalculated = false;
+    }
+  }
+
+  /**
+   * Derive the water, beach, desert, frozen, ice and snow flags from the
+   * biome and the temperature of the season, and the height level and z
+   * offset from the height. Call it again when the season advances.
+   */
+  updateTerrainFlags() {
+    const temperature = this.getTemperature();
+    this.water = this.biome.name === "water";
+    this.beach = this.biome.name === "beach";
+    this.frozen = temperature < 0.3;
+    this.desert = this.biome.name === "desert";
+
+    // Shallow water freezes and cold land is snowed over
+    this.ice = this.water && Seasons.freezes(this.height, temperature);
+    this.snow = !this.water && temperature < Seasons.snowTemperature;
+
+    this.level = this.water ? 0 : Cell.getLevel(this.height);
+    this.z = this.level * Cell.levelHeight * this.cellSize;
+  }
 
-    this.spawnTreesHere();
+  /**
+   * Get the temperature with the season applied. The temperature field is
+   * the cell's climate, which stays fixed so generation (e.g. trees) does
+   * not depend on the time of year.
+   * @returns {number} Temperature (0-1)
+   */
+  getTemperature() {
+    return this.grid.game.clock.getTemperature(this.temperature);
+  }
+
+  /**
+   * Get the moisture with the soil wetness left by rain and snow (see
+   * Weather) added. Like temperature, the moisture field is the cell's
+   * climate and stays fixed.
+   * @returns {number} Moisture (0-1)
+   */
+  getMoisture() {
+    const wetness = this.grid.game.weather.getWetness(this);
+    return Math.min(1, this.moisture + wetness);
+  }
+
+  /**
+   * Quantize a height into a height level
+   * @param {number} height - Height value (0-1)
+   * @returns {number} Level from 0 (sea level) to heightLevels - 1
+   */
+  static getLevel(height) {
+    const aboveSea = (height - Cell.seaLevel) / (1 - Cell.seaLevel);
+    const level = Math.floor(aboveSea * Cell.heightLevels);
+    return Math.max(0, Math.min(Cell.heightLevels - 1, level));
+  }
+
+  /**
+   * Get the z offset of the highest level
+   * @param {number} cellSize - Cell size in pixels
+   * @returns {number} Largest cell z in pixels
+   */
+  static getMaxZ(cellSize) {
+    return (Cell.heightLevels - 1) * Cell.levelHeight * cellSize;
   }
 
   spawnTreesHere() {
-    if (this.water) return;
+    if (this.water || this.river) return;
 
-    // Define tree types to consider
-    const treeTypes = Tree.types;
+    // Only tree types allowed by the biome are considered
+    const biomeTrees = this.biome.trees;
+    const treeTypes = Tree.types.filter((type) =>
+      biomeTrees.types.includes(type)
+    );
 
-    // Calculate spawn chances for each tree type
+    // Calculate spawn chances for each tree type, scaled by biome density
     const treeChances = [];
     for (const treeType of treeTypes) {
-      const chance = this.calculateTreeSpawnChance(
-        this.height,
-        this.soilFertility,
-        this.temperature,
-        treeType
-      );
+      const chance =
+        this.calculateTreeSpawnChance(
+          this.height,
+          this.soilFertility,
+          this.temperature,
+          treeType
+        ) * biomeTrees.density;
       if (chance > 0) {
         treeChances.push({ type: treeType, chance: chance });
       }
@@ -74,6 +176,10 @@ class Cell {
     // Sort by chance (highest first) and try to spawn trees
     treeChances.sort((a, b) => b.chance - a.chance);
 
+    // Trees depend only on the world seed and the cell coordinates,
+    // so the cell looks the same no matter when it is generated
+    const random = SeededRandom.forCoords(this.grid.seed, this.x, this.y);
+
     // Try to spawn up to 2 trees per cell
     let treesSpawned = 0;
     const maxTrees = 2;
@@ -81,12 +187,13 @@ class Cell {
     for (const treeData of treeChances) {
       if (treesSpawned >= maxTrees) break;
 
-      if (Math.random() < treeData.chance * 1) {
+      if (random.next() < treeData.chance * 1) {
         const tree = this.grid.game.createTree(
-          this.worldX + this.cellSize * Math.random(),
-          this.worldY + this.cellSize * Math.random(),
+          this.worldX + this.cellSize * random.next(),
+          this.worldY + this.cellSize * random.next(),
           treeData.type
         );
+        this.trees.add(tree);
         treesSpawned++;
       }
     }
@@ -268,48 +375,155 @@ class Cell {
   }
 
   /**
-   * Get the RGB color based on terrain properties
-   * Red mapped to temperature, Blue mapped to height, Green mapped to fertility
-   * @returns {Object} Object with r, g, b properties (0-255)
+   * Check whether the cell can be unloaded: every entity in it must be
+   * one of its own trees (moving entities keep their cell alive)
+   * @returns {boolean}
    */
-  getColor() {
-    if (this.water) {
-      return {
-        r: 0,
-        g: 0,
-        b: 255,
-      };
+  canUnload() {
+    for (const entity of this.entities) {
+      if (!this.trees.has(entity)) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Destroy the trees owned by this cell and drop cached references.
+   * The cell is regenerated from the world seed if it is visited again.
+   */
+  unload() {
+    const game = this.grid.game;
+    this.trees.forEach((tree) => {
+      if (game) {
+        game.removeEntity(tree);
+      }
+    });
+    this.trees.clear();
+    this.entities.clear();
+    this.neighborsInRadius = null;
+  }
+
+  /**
+   * Flag this cell as changed so its chunk is redrawn and the edit is kept
+   * in saves. Call it after editing terrain properties.
+   */
+  markDirty() {
+    this.modified = true;
+    if (this.chunk) this.chunk.markDirty();
+
+    // Neighbours draw their cliffs and tile transitions against this cell,
+    // and may belong to other chunks
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        const neighbor = this.grid.getLoadedCell(this.x + dx, this.y + dy);
+        if (neighbor && neighbor.chunk && neighbor.chunk !== this.chunk) {
+          neighbor.chunk.markDirty();
+        }
+      }
     }
+  }
 
-    if (this.beach) {
-      return {
-        r: 255,
-        g: 255,
-        b: 0,
-      };
+  /**
+   * Get what changed since the cell was generated: edited terrain
+   * properties and, once any of its trees was harvested or removed, the
+   * state of its remaining trees
+   * @returns {Object|null} Diff with the cell's x and y, or null if the
+   *   cell is as generated
+   */
+  getDiff() {
+    const diff = {};
+
+    if (this.modified) {
+      // The chunk keeps the generated terrain while it is loaded
+      const defaults =
+        (this.chunk && this.chunk.getCellData(this.x, this.y)) ||
+        this.grid.terrain.sampleCell(this.x, this.y);
+      Cell.savedFields.forEach((field) => {
+        if (this[field] !== defaults[field]) diff[field] = this[field];
+      });
+      if (this.biome !== Biomes.get(defaults.biome)) {
+        diff.biome = this.biome.name;
+      }
     }
 
-    if (this.frozen) {
-      return {
-        r: 240,
-        g: 240,
-        b: 240,
-      };
+    const trees = [...this.trees];
+    const treesChanged =
+      this.treesRestored ||
+      trees.some(
+        (tree) => !tree.game || !tree.active || tree.health !== tree.maxHealth
+      );
+    if (treesChanged) {
+      // Removed trees have been destroyed and lost their game
+      diff.trees = trees
+        .filter((tree) => tree.game)
+        .map((tree) => tree.serialize());
     }
 
-    if (this.desert) {
-      return {
-        r: 200,
-        g: 200,
-        b: 0,
-      };
+    if (Object.keys(diff).length === 0) return null;
+    return { x: this.x, y: this.y, ...diff };
+  }
+
+  /**
+   * Apply a diff from getDiff() to a newly generated cell
+   * @param {Object} diff - Cell diff
+   */
+  applyDiff(diff) {
+    const terrainChanged =
+      diff.biome !== undefined ||
+      Cell.savedFields.some((field) => diff[field] !== undefined);
+
+    if (terrainChanged) {
+      Cell.savedFields.forEach((field) => {
+        if (diff[field] !== undefined) this[field] = diff[field];
+      });
+      if (diff.biome !== undefined) {
+        this.biome = Biomes.get(Biomes.getIndex(diff.biome));
+      }
+      this.updateTerrainFlags();
+      this.markDirty();
     }
 
-    return {
-      r: Math.floor(this.temperature * 255),
-      g: Math.floor(this.soilFertility * 255),
-      b: Math.floor(this.height * 255),
-    };
+    // Saved trees replace the ones generated from the seed
+    if (diff.trees) {
+      const game = this.grid.game;
+      this.trees.forEach((tree) => game.removeEntity(tree));
+      this.trees = new Set(
+        diff.trees.map((data) => Tree.deserialize(data, game))
+      );
+      this.treesRestored = true;
+    }
+  }
+
+  /**
+   * Get the width of the river crossing this cell, growing with the
+   * accumulated flow
+   * @returns {number} Width in pixels (0 without a river)
+   */
+  getRiverWidth() {
+    if (!this.river) return 0;
+    const width = this.cellSize * 0.1 * (1 + Math.sqrt(this.flowAccumulation));
+    return Math.min(width, this.cellSize * 0.8);
+  }
+
+  /**
+   * Get the RGB color of the cell in the current season: the biome color
+   * shaded by height so relief stays visible, ice on frozen shallow water,
+   * and on land the season's tint and snow when the cell is snowed over
+   * @returns {Object} Object with r, g, b properties (0-255)
+   */
+  getColor() {
+    return this.getBiomeColor(this.biome);
+  }
+
+  /**
+   * Get the color a biome has on this cell in the current season (see
+   * Seasons.getColor()). Used for the cell's own biome and for tile
+   * transitions of its neighbours.
+   * @param {Object} biome - Biome definition
+   * @returns {Object} Object with r, g, b properties (0-255)
+   */
+  getBiomeColor(biome) {
+    const season = this.grid.game.clock.season;
+    return Seasons.getColor(biome, this.height, this.getTemperature(), season);
   }
 
   /**
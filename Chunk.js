@@ -0,0 +1,150 @@
+export class Chunk {
+  constructor(chunkX, chunkY, size = 16, grid) {
+    this.grid = grid;
+    this.chunkX = chunkX;
+    this.chunkY = chunkY;
+    this.size = size;
+    this.key = grid.getChunkKey(chunkX, chunkY);
+
+    // First cell coordinates covered by this chunk
+    this.cellX = chunkX * size;
+    this.cellY = chunkY * size;
+
+    // Cells indexed by local position (y * size + x), filled as they are generated
+    this.cells = new Array(size * size).fill(null);
+    this.cellCount = 0;
+
+    // Terrain typed arrays from TerrainGenerator.generateChunkData()
+    this.terrainData = null;
+
+    // Lifecycle: "pending" -> "queued" -> ("generating" in the worker) ->
+    // "loading" -> "loaded" -> "unloaded"
+    this.state = "pending";
+    this.nextIndex = 0; // Next local cell to generate
+
+    // Bumped whenever a cell changes, so cached renders know to redraw
+    this.version = 0;
+  }
+
+  /**
+   * Flag the chunk as changed (e.g. a cell's terrain or color was edited)
+   */
+  markDirty() {
+    this.version++;
+  }
+
+  /**
+   * Register a cell that belongs to this chunk
+   * @param {Cell} cell - The cell to register
+   */
+  addCell(cell) {
+    const index = (cell.y - this.cellY) * this.size + (cell.x - this.cellX);
+    if (!this.cells[index]) {
+      this.cellCount++;
+    }
+    this.cells[index] = cell;
+  }
+
+  /**
+   * Store the chunk's generated terrain. Cells built before it arrived
+   * (see Grid.getCellTerrain()) get their real terrain, trees and saved
+   * changes now.
+   * @param {Object} data - Chunk data from TerrainGenerator.generateChunkData()
+   */
+  setTerrainData(data) {
+    this.terrainData = data;
+    this.cells.forEach((cell) => {
+      if (!cell || !cell.provisional) return;
+      cell.provisional = false;
+      cell.setTerrain(this.getCellData(cell.x, cell.y));
+      this.grid.populateCell(cell);
+    });
+  }
+
+  /**
+   * Get the generated terrain of one of this chunk's cells
+   * @param {number} cellX - Cell X coordinate
+   * @param {number} cellY - Cell Y coordinate
+   * @returns {Object|null} Cell terrain data, or null if not generated yet
+   */
+  getCellData(cellX, cellY) {
+    const data = this.terrainData;
+    if (!data) return null;
+
+    const index = (cellY - this.cellY) * this.size + (cellX - this.cellX);
+    return {
+      height: data.height[index],
+      soilFertility: data.soilFertility[index],
+      temperature: data.temperature[index],
+      moisture: data.moisture[index],
+      biome: data.biome[index],
+      flowX: data.flowX[index],
+      flowY: data.flowY[index],
+      flowAccumulation: data.flowAccumulation[index],
+      riverDirection: data.riverDirection[index],
+      lake: data.lake[index],
+    };
+  }
+
+  /**
+   * Build cells until the deadline is reached or the chunk is complete.
+   * Cells already created on demand (e.g. by a moving entity) are skipped.
+   * Without worker data the terrain is generated here on the main thread.
+   * @param {number} deadline - performance.now() timestamp to stop at
+   * @returns {boolean} Whether the chunk is fully generated
+   */
+  generateStep(deadline) {
+    if (!this.terrainData) {
+      this.setTerrainData(
+        this.grid.terrain.generateChunkData(this.chunkX, this.chunkY, this.size)
+      );
+    }
+
+    this.state = "loading";
+    const total = this.size * this.size;
+
+    while (this.nextIndex < total) {
+      const localX = this.nextIndex % this.size;
+      const localY = Math.floor(this.nextIndex / this.size);
+      this.grid.getCell(this.cellX + localX, this.cellY + localY);
+      this.nextIndex++;
+
+      if (performance.now() >= deadline) break;
+    }
+
+    if (this.nextIndex >= total) {
+      this.state = "loaded";
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Get all generated cells of this chunk
+   * @returns {Array} Array of cells
+   */
+  getCells() {
+    return this.cells.filter((cell) => cell !== null);
+  }
+
+  /**
+   * Check whether every cell of the chunk can be unloaded
+   * @returns {boolean}
+   */
+  canUnload() {
+    return this.cells.every((cell) => !cell || cell.canUnload());
+  }
+
+  /**
+   * Unload every cell of the chunk along with the trees they own
+   */
+  unload() {
+    this.cells.forEach((cell) => {
+      if (cell) cell.unload();
+    });
+    this.cells.fill(null);
+    this.cellCount = 0;
+    this.terrainData = null;
+    this.state = "unloaded";
+  }
+}
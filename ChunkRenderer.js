@@ -0,0 +1,560 @@
+import * as PIXI from "pixi.js";
+import { TerrainOverlays } from "./TerrainOverlays.js";
+import { Cell } from "./Cell.js";
+import { Entity } from "./Entity.js";
+import { Autotiler } from "./Autotiler.js";
+
+/**
+ * Draws the terrain one chunk at a time into cached render textures.
+ * A chunk is only redrawn when its version changes (see Chunk.markDirty()),
+ * sprites outside the camera view are hidden, and the textures of chunks
+ * far from the view are released so GPU memory stays bounded.
+ *
+ * Cells are raised by their elevation (cell.z) with a cliff face below them
+ * where the cell to the south is lower. Parts of the texture showing cells
+ * that rise above the cell behind them are also added as occluder sprites
+ * among the entities, so entities behind a cliff are hidden by it.
+ *
+ * Top faces are autotiled from the game's Tileset when the terrain style is
+ * "tiles" and the biome view is shown; otherwise (and until the tiles are
+ * loaded) they are flat colors.
+ */
+export class ChunkRenderer {
+  // Largest texture side in pixels; larger chunks render at lower resolution
+  static maxTextureSize = 512;
+  // Chunks within this many chunks of the view keep (and prefetch) textures
+  static keepMargin = 1;
+  // Milliseconds per frame spent redrawing chunks (at least one is drawn)
+  static redrawBudget = 4;
+  // Seconds between redraws of overlays that change without edits (live)
+  static liveRefreshInterval = 0.5;
+
+  static riverColor = 0x2a6fd6;
+  // Color factors of south-facing cliffs and of the rim of east/west drops
+  static cliffShade = 0.6;
+  static edgeShade = 0.8;
+  static edgeWidth = 2;
+
+  /**
+   * @param {Game} game - The game
+   * @param {PIXI.Container} container - Container of the chunk sprites
+   * @param {PIXI.Container} occluderContainer - Sorted container of the
+   *   entity views, which receives the cliff occluders
+   */
+  constructor(game, container, occluderContainer) {
+    this.game = game;
+    this.container = container;
+    this.occluderContainer = occluderContainer;
+
+    // Raised cells overlap the chunk to the north, so draw north to south
+    this.container.sortableChildren = true;
+
+    // Reused for every chunk drawing, never added to the stage
+    this.graphics = new PIXI.Graphics();
+
+    // chunk key -> {chunk, sprite, texture, occluders, version}
+    this.views = new Map();
+
+    // Flow arrows and the overlay are baked into the textures, so
+    // changing them redraws every chunk
+    this.showFlowField = false;
+    this.overlay = TerrainOverlays.table[0].name;
+    this.useTiles = false;
+    this.lastLiveRefresh = 0;
+  }
+
+  /**
+   * Redraw changed chunks around the view and cull the rest
+   * @param {Object} bounds - Visible world area {minX, minY, maxX, maxY}
+   */
+  update(bounds) {
+    const grid = this.game.grid;
+    if (grid.showFlowField !== this.showFlowField) {
+      this.showFlowField = grid.showFlowField;
+      this.invalidateAll();
+    }
+
+    if (this.game.overlay !== this.overlay) {
+      this.overlay = this.game.overlay;
+      this.invalidateAll();
+    }
+
+    // Overlays other than the biome view color cells by value, untextured
+    const tileset = this.game.tileset;
+    const useTiles =
+      this.game.terrainStyle === "tiles" &&
+      Boolean(tileset && tileset.ready) &&
+      !TerrainOverlays.get(this.overlay).ramp;
+    if (useTiles !== this.useTiles) {
+      this.useTiles = useTiles;
+      this.invalidateAll();
+    }
+
+    const now = performance.now();
+    if (
+      TerrainOverlays.get(this.overlay).live &&
+      now - this.lastLiveRefresh >= ChunkRenderer.liveRefreshInterval * 1000
+    ) {
+      this.lastLiveRefresh = now;
+      this.invalidateAll();
+    }
+
+    const chunkPixels = grid.chunkSize * grid.cellSize;
+    const maxZ = Cell.getMaxZ(grid.cellSize);
+    const margin = ChunkRenderer.keepMargin;
+    const minChunkX = Math.floor(bounds.minX / chunkPixels) - margin;
+    const maxChunkX = Math.floor(bounds.maxX / chunkPixels) + margin;
+    const minChunkY = Math.floor(bounds.minY / chunkPixels) - margin;
+    const maxChunkY = Math.floor(bounds.maxY / chunkPixels) + margin;
+
+    // Loaded chunks near the view, visible ones first
+    const nearby = [];
+    for (let chunkY = minChunkY; chunkY <= maxChunkY; chunkY++) {
+      for (let chunkX = minChunkX; chunkX <= maxChunkX; chunkX++) {
+        const chunk = grid.chunks[grid.getChunkKey(chunkX, chunkY)];
+        if (!chunk || chunk.state !== "loaded") continue;
+
+        const left = chunk.cellX * grid.cellSize;
+        const top = chunk.cellY * grid.cellSize;
+        const visible =
+          left < bounds.maxX &&
+          left + chunkPixels > bounds.minX &&
+          top - maxZ < bounds.maxY &&
+          top + chunkPixels > bounds.minY;
+        nearby.push({ chunk, visible });
+      }
+    }
+    nearby.sort((a, b) => b.visible - a.visible);
+
+    const deadline = performance.now() + ChunkRenderer.redrawBudget;
+    let redrawn = 0;
+    const kept = new Set();
+
+    for (const { chunk, visible } of nearby) {
+      kept.add(chunk.key);
+      let view = this.views.get(chunk.key);
+
+      const stale = !view || view.version !== chunk.version;
+      if (stale && (redrawn === 0 || performance.now() < deadline)) {
+        view = this.drawChunk(chunk, view);
+        redrawn++;
+      }
+
+      if (view) {
+        view.sprite.visible = visible;
+        view.occluders.forEach((occluder) => {
+          occluder.visible = visible;
+        });
+      }
+    }
+
+    // Release textures of chunks that left the neighbourhood of the view
+    for (const [key, view] of this.views) {
+      if (!kept.has(key)) this.releaseChunk(view.chunk);
+    }
+  }
+
+  /**
+   * Draw a chunk into its texture, creating the texture and sprite if needed
+   * @param {Chunk} chunk - A fully loaded chunk
+   * @param {Object} view - Existing view of the chunk, if any
+   * @returns {Object} The chunk's view
+   */
+  drawChunk(chunk, view) {
+    const grid = this.game.grid;
+    const cellSize = grid.cellSize;
+    const chunkPixels = chunk.size * cellSize;
+    // The texture reaches up to where the chunk's highest possible cells
+    // are drawn
+    const maxZ = Cell.getMaxZ(cellSize);
+    const originX = chunk.cellX * cellSize;
+    const originY = chunk.cellY * cellSize - maxZ;
+
+    const graphics = this.graphics;
+    graphics.clear();
+
+    const overlay = TerrainOverlays.get(this.overlay);
+    const cells = chunk.getCells();
+    cells.forEach((cell) => this.drawCell(cell, originX, originY));
+    // Rivers go on top of every cell so their segments are not covered by
+    // the next cell's top face
+    if (overlay.rivers) {
+      cells.forEach((cell) => this.drawRivers(cell, originX, originY));
+    }
+    if (this.showFlowField || overlay.flowArrows) {
+      cells.forEach((cell) => this.drawFlowArrow(cell, originX, originY));
+      graphics.stroke({ width: 2, color: 0x000000, alpha: 0.5 });
+    }
+
+    if (!view) {
+      const texture = PIXI.RenderTexture.create({
+        width: chunkPixels,
+        height: chunkPixels + maxZ,
+        resolution: Math.min(
+          1,
+          ChunkRenderer.maxTextureSize / (chunkPixels + maxZ)
+        ),
+      });
+      const sprite = new PIXI.Sprite(texture);
+      sprite.x = originX;
+      sprite.y = originY;
+      sprite.zIndex = chunk.chunkY;
+      this.container.addChild(sprite);
+      view = { chunk, sprite, texture, occluders: [], version: -1 };
+      this.views.set(chunk.key, view);
+    }
+
+    this.game.app.renderer.render({
+      container: graphics,
+      target: view.texture,
+      clear: true,
+    });
+    view.version = chunk.version;
+    this.updateOccluders(view, cells, originX, originY);
+
+    return view;
+  }
+
+  /**
+   * Rebuild the occluders of a chunk: one sprite per run of cells in a row
+   * that rise above the cell behind them, showing that part of the chunk
+   * texture (top face and cliff). Each one sorts like an entity standing
+   * on the cell's northern border, so entities further north are drawn
+   * behind it.
+   * @param {Object} view - The chunk's view, already drawn
+   * @param {Cell[]} cells - The chunk's cells, row by row
+   * @param {number} originX - World X of the chunk texture's left edge
+   * @param {number} originY - World Y of the chunk texture's top edge
+   */
+  updateOccluders(view, cells, originX, originY) {
+    this.destroyOccluders(view);
+
+    const grid = this.game.grid;
+    const cellSize = grid.cellSize;
+    let run = null;
+
+    const flush = () => {
+      if (!run) return;
+      const top = run.worldY - run.z;
+      const texture = new PIXI.Texture({
+        source: view.texture.source,
+        frame: new PIXI.Rectangle(
+          run.left - originX,
+          top - originY,
+          run.right - run.left,
+          run.bottom - top
+        ),
+      });
+      const occluder = new PIXI.Sprite(texture);
+      occluder.x = run.left;
+      occluder.y = top;
+      occluder.zIndex = Entity.getZIndex(run.worldY) - 1;
+      occluder.visible = view.sprite.visible;
+      this.occluderContainer.addChild(occluder);
+      view.occluders.push(occluder);
+      run = null;
+    };
+
+    for (const cell of cells) {
+      const north = grid.getLoadedCell(cell.x, cell.y - 1);
+      if (!north || cell.z <= north.z) {
+        flush();
+        continue;
+      }
+
+      const south = grid.getLoadedCell(cell.x, cell.y + 1);
+      const bottom =
+        cell.worldY + cellSize - (south ? Math.min(cell.z, south.z) : cell.z);
+
+      if (
+        run &&
+        run.worldY === cell.worldY &&
+        run.z === cell.z &&
+        run.bottom === bottom &&
+        run.right === cell.worldX
+      ) {
+        run.right += cellSize;
+      } else {
+        flush();
+        run = {
+          worldY: cell.worldY,
+          z: cell.z,
+          bottom,
+          left: cell.worldX,
+          right: cell.worldX + cellSize,
+        };
+      }
+    }
+    flush();
+  }
+
+  /**
+   * Remove a chunk's occluders. Their textures share the chunk's texture
+   * source, which is kept.
+   * @param {Object} view - The chunk's view
+   */
+  destroyOccluders(view) {
+    view.occluders.forEach((occluder) => {
+      this.occluderContainer.removeChild(occluder);
+      occluder.texture.destroy(false);
+      occluder.destroy();
+    });
+    view.occluders = [];
+  }
+
+  /**
+   * Draw a cell's top face with its color in the current overlay, the
+   * cliff face below it where the cell to the south is lower and a shaded
+   * rim where the cells to the east or west are lower. Cells are drawn
+   * north to south, so higher cells further south cover the ones behind.
+   * @param {Cell} cell - The cell to draw
+   * @param {number} originX - World X of the chunk texture's left edge
+   * @param {number} originY - World Y of the chunk texture's top edge
+   */
+  drawCell(cell, originX, originY) {
+    const grid = this.game.grid;
+    const color = TerrainOverlays.getColor(this.overlay, cell);
+    const cellSize = cell.cellSize;
+    const x = cell.worldX - originX;
+    const y = cell.worldY - cell.z - originY;
+
+    // How far the terrain drops towards a neighbour (0 if it is not loaded)
+    const drop = (dx, dy) => {
+      const neighbor = grid.getLoadedCell(cell.x + dx, cell.y + dy);
+      return neighbor ? Math.max(0, cell.z - neighbor.z) : 0;
+    };
+
+    if (this.useTiles) {
+      this.drawTiles(cell, x, y);
+    } else {
+      this.graphics
+        .rect(x, y, cellSize, cellSize)
+        .fill(ChunkRenderer.shade(color, 1));
+    }
+
+    const cliff = drop(0, 1);
+    if (cliff > 0) {
+      this.graphics
+        .rect(x, y + cellSize, cellSize, cliff)
+        .fill(ChunkRenderer.shade(color, ChunkRenderer.cliffShade));
+    }
+
+    const edgeWidth = Math.min(ChunkRenderer.edgeWidth, cellSize / 4);
+    const edgeColor = ChunkRenderer.shade(color, ChunkRenderer.edgeShade);
+    if (drop(-1, 0) > 0) {
+      this.graphics.rect(x, y, edgeWidth, cellSize).fill(edgeColor);
+    }
+    if (drop(1, 0) > 0) {
+      this.graphics
+        .rect(x + cellSize - edgeWidth, y, edgeWidth, cellSize)
+        .fill(edgeColor);
+    }
+  }
+
+  /**
+   * Draw a cell's top face from tiles: its base tile variant, then the
+   * transitions of the neighbouring biomes drawn over it
+   * @param {Cell} cell - The cell to draw
+   * @param {number} x - X of the top face in the chunk texture
+   * @param {number} y - Y of the top face in the chunk texture
+   */
+  drawTiles(cell, x, y) {
+    const grid = this.game.grid;
+    const tileset = this.game.tileset;
+    const cellSize = cell.cellSize;
+
+    const base = tileset.getBase(cell, grid.seed);
+    const tint = tileset.getTint(cell.biome, cell.getColor(), base);
+    this.graphics.texture(base, tint, x, y, cellSize, cellSize);
+
+    Autotiler.getTransitions(cell, grid).forEach(({ biome, mask }) => {
+      const tile = tileset.getTransition(biome, mask);
+      const tint = tileset.getTint(biome, cell.getBiomeColor(biome), tile);
+      this.graphics.texture(tile, tint, x, y, cellSize, cellSize);
+    });
+  }
+
+  /**
+   * Convert a color to a hex number, darkened by a factor
+   * @param {Object} color - Object with r, g, b properties (0-255)
+   * @param {number} factor - Brightness factor (1 keeps the color)
+   * @returns {number} Hex color
+   */
+  static shade(color, factor) {
+    return (
+      (Math.floor(color.r * factor) << 16) |
+      (Math.floor(color.g * factor) << 8) |
+      Math.floor(color.b * factor)
+    );
+  }
+
+  /**
+   * Draw the river through a cell: half a segment towards the cell it flows
+   * into and half a segment towards every neighbour flowing into it. Each
+   * half stays inside its own cell, so chunks can be drawn independently.
+   * @param {Cell} cell - The cell to draw
+   * @param {number} originX - World X of the chunk texture's left edge
+   * @param {number} originY - World Y of the chunk texture's top edge
+   */
+  drawRivers(cell, originX, originY) {
+    const grid = this.game.grid;
+    const half = cell.cellSize / 2;
+    const centerX = cell.worldX - originX + half;
+    const centerY = cell.worldY - cell.z - originY + half;
+
+    const drawHalf = (dx, dy, width) => {
+      this.graphics
+        .moveTo(centerX, centerY)
+        .lineTo(centerX + dx * half, centerY + dy * half)
+        .stroke({ width, color: ChunkRenderer.riverColor, cap: "round" });
+    };
+
+    if (cell.river) {
+      const [dx, dy] = cell.riverDirection;
+      drawHalf(dx, dy, cell.getRiverWidth());
+    }
+
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        if (dx === 0 && dy === 0) continue;
+        const neighbor = grid.getLoadedCell(cell.x + dx, cell.y + dy);
+        if (
+          neighbor &&
+          neighbor.river &&
+          neighbor.riverDirection[0] === -dx &&
+          neighbor.riverDirection[1] === -dy
+        ) {
+          drawHalf(dx, dy, neighbor.getRiverWidth());
+        }
+      }
+    }
+  }
+
+  /**
+   * Add a cell's flow direction arrow to the current path (stroked by the
+   * caller once for the whole chunk)
+   * @param {Cell} cell - The cell to draw
+   * @param {number} originX - World X of the chunk texture's left edge
+   * @param {number} originY - World Y of the chunk texture's top edge
+   */
+  drawFlowArrow(cell, originX, originY) {
+    const flowDirection = cell.getFlowDirection();
+    if (!flowDirection || flowDirection.length() === 0) return;
+
+    const cellSize = cell.cellSize;
+    const centerX = cell.worldX - originX + cellSize / 2;
+    const centerY = cell.worldY - cell.z - originY + cellSize / 2;
+    const vectorLength = cellSize * 0.4; // Scale vector length to cell size
+    const tipX = centerX + flowDirection.x * vectorLength;
+    const tipY = centerY + flowDirection.y * vectorLength;
+
+    // Shaft and arrow head
+    const arrowSize = Math.min(4, cellSize * 0.15);
+    const angle = Math.atan2(flowDirection.y, flowDirection.x);
+    this.graphics
+      .moveTo(centerX, centerY)
+      .lineTo(tipX, tipY)
+      .lineTo(
+        tipX - arrowSize * Math.cos(angle - Math.PI / 6),
+        tipY - arrowSize * Math.sin(angle - Math.PI / 6)
+      )
+      .moveTo(tipX, tipY)
+      .lineTo(
+        tipX - arrowSize * Math.cos(angle + Math.PI / 6),
+        tipY - arrowSize * Math.sin(angle + Math.PI / 6)
+      );
+  }
+
+  /**
+   * Mark the chunks whose drawing depends on a newly loaded chunk, so they
+   * get redrawn: the neighbours, whose cliffs, occluders and tile
+   * transitions at the shared border need its cells, and the chunks that
+   * its rivers flow into, which draw the incoming half of those rivers
+   * @param {Chunk} chunk - The chunk that was just loaded
+   */
+  onChunkLoad(chunk) {
+    const grid = this.game.grid;
+
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        if (dx === 0 && dy === 0) continue;
+        const key = grid.getChunkKey(chunk.chunkX + dx, chunk.chunkY + dy);
+        if (grid.chunks[key]) grid.chunks[key].markDirty();
+      }
+    }
+
+    for (const cell of chunk.getCells()) {
+      if (!cell.river) continue;
+      const targetX = cell.x + cell.riverDirection[0];
+      const targetY = cell.y + cell.riverDirection[1];
+      const { chunkX, chunkY } = grid.cellToChunk(targetX, targetY);
+      if (chunkX === chunk.chunkX && chunkY === chunk.chunkY) continue;
+
+      const target = grid.chunks[grid.getChunkKey(chunkX, chunkY)];
+      if (target) target.markDirty();
+    }
+  }
+
+  /**
+   * Force every cached chunk to be redrawn (e.g. after a display option
+   * that affects all cells changed)
+   */
+  invalidateAll() {
+    this.views.forEach((view) => {
+      view.version = -1;
+    });
+  }
+
+  /**
+   * Destroy the texture and sprite of a chunk
+   * @param {Chunk} chunk - The chunk
+   */
+  releaseChunk(chunk) {
+    const view = this.views.get(chunk.key);
+    if (!view) return;
+
+    this.destroyOccluders(view);
+    this.container.removeChild(view.sprite);
+    view.sprite.destroy();
+    view.texture.destroy(true);
+    this.views.delete(chunk.key);
+  }
+
+  /**
+   * Release every cached chunk
+   */
+  clear() {
+    for (const view of [...this.views.values()]) {
+      this.releaseChunk(view.chunk);
+    }
+  }
+
+  /**
+   * Get debug information about the renderer
+   * @returns {Object} Debug information
+   */
+  getDebugInfo() {
+    let visible = 0;
+    let occluders = 0;
+    this.views.forEach((view) => {
+      if (view.sprite.visible) visible++;
+      occluders += view.occluders.length;
+    });
+
+    return {
+      overlay: this.overlay,
+      cachedChunks: this.views.size,
+      visibleChunks: visible,
+      occluders,
+      tiles: this.useTiles,
+    };
+  }
+
+  /**
+   * Release all textures and the shared graphics object
+   */
+  destroy() {
+    this.clear();
+    this.graphics.destroy();
+  }
+}
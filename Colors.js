@@ -0,0 +1,39 @@
+/**
+ * Color helpers. Colors are {r, g, b} objects with 0-255 channels.
+ */
+export class Colors {
+  /**
+   * Blend two colors
+   * @param {Object} from - Object with r, g, b properties (0-255)
+   * @param {Object} to - Object with r, g, b properties (0-255)
+   * @param {number} t - Amount of the second color (0-1)
+   * @returns {Object} Object with r, g, b properties (0-255)
+   */
+  static mix(from, to, t) {
+    return {
+      r: Math.round(from.r + (to.r - from.r) * t),
+      g: Math.round(from.g + (to.g - from.g) * t),
+      b: Math.round(from.b + (to.b - from.b) * t),
+    };
+  }
+
+  /**
+   * Interpolate a color ramp
+   * @param {Array} ramp - [position, color] stops sorted by position
+   * @param {number} t - Position in the 0-1 range
+   * @returns {Object} Object with r, g, b properties (0-255)
+   */
+  static sampleRamp(ramp, t) {
+    if (t <= ramp[0][0]) return { ...ramp[0][1] };
+
+    for (let i = 1; i < ramp.length; i++) {
+      const [end, to] = ramp[i];
+      if (t > end) continue;
+
+      const [start, from] = ramp[i - 1];
+      return Colors.mix(from, to, (t - start) / (end - start));
+    }
+
+    return { ...ramp[ramp.length - 1][1] };
+  }
+}
@@ -1,4 +1,6 @@
-class Entity {
+import Victor from "victor";
+
+export class Entity {
   constructor(x = 0, y = 0, game = null) {
     // Position properties (using Victor.js)
     this.position = new Victor(x, y);
@@ -22,30 +24,22 @@ class Entity {
     // Grid reference
     this.currentCell = null;
 
-    // PIXI Container
-    this.container = new PIXI.Container();
-    this.container.pivot.x = 0.5;
-    this.container.pivot.y = 1;
-    this.container.x = x;
-    this.container.y = y;
     this.z = 0;
 
-    this.setZIndex();
+    // Point light carried by the entity (see setLight())
+    this.light = null;
 
-    // Default visual representation (a simple colored rectangle)
-    this.graphics = new PIXI.Graphics();
-    this.graphics.rect(-8, -16, 16, 16); // Draw rectangle so bottom edge is at y=0
-    this.graphics.fill(0x3498db); // Blue color
-    this.container.addChild(this.graphics);
+    // PIXI view (null when the game runs headless)
+    this.container = null;
+    this.graphics = null;
 
     // Entity properties
     this.id = Entity.generateId();
     this.active = true;
     this.visible = true;
 
-    // Add to game's main container if game is provided
-    if (this.game && this.game.mainContainer) {
-      this.game.mainContainer.addChild(this.container);
+    if (!this.game.headless) {
+      this.createView();
     }
 
     this.game.entities.add(this);
@@ -63,6 +57,19 @@ class Entity {
     return `entity_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
 
+  /**
+   * Ask the game's renderer for the container and default graphics of the
+   * entity. This is the only place where the simulation touches the renderer.
+   */
+  createView() {
+    const view = this.game.createEntityView(this);
+    if (!view) return;
+
+    this.container = view.container;
+    this.graphics = view.graphics;
+    this.setZIndex();
+  }
+
   /**
    * Set the position of the entity
    * @param {number} x - New X position
@@ -74,8 +81,10 @@ class Entity {
     this.position.y = y;
 
     // Update PIXI container position
-    this.container.x = x;
-    this.container.y = y;
+    if (this.container) {
+      this.container.x = x;
+      this.container.y = y;
+    }
   }
 
   /**
@@ -152,11 +161,8 @@ class Entity {
     const velocityDelta = this.velocity.clone().multiplyScalar(deltaTime);
     this.position.add(velocityDelta);
 
-    this.z = this.currentCell.z;
+    this.z = this.game.grid.getElevationAt(this.position.x, this.position.y);
 
-    // Update PIXI container position
-    this.container.x = this.position.x;
-    this.container.y = this.position.y - this.z;
     this.x = this.position.x;
     this.y = this.position.y;
 
@@ -173,13 +179,37 @@ class Entity {
       this.game.grid.updateEntity(this);
     }
 
+    this.updateView();
+  }
+
+  /**
+   * Sync the PIXI container with the simulation state
+   */
+  updateView() {
+    if (!this.container) return;
+
+    // Update PIXI container position
+    this.container.x = this.position.x;
+    this.container.y = this.position.y - this.z;
+
     // Update visibility
     this.container.visible = this.visible && this.active;
     this.setZIndex();
   }
 
   setZIndex() {
-    this.container.zIndex = (this.position.y || 1) * 10 + 1000000000;
+    if (!this.container) return;
+    this.container.zIndex = Entity.getZIndex(this.position.y || 1);
+  }
+
+  /**
+   * Draw order of something standing at a world Y: further south is drawn
+   * on top. Terrain that must cover entities (e.g. cliffs) uses it too.
+   * @param {number} worldY - World Y of the ground position
+   * @returns {number} zIndex in the game's main container
+   */
+  static getZIndex(worldY) {
+    return worldY * 10 + 1000000000;
   }
 
   /**
@@ -189,6 +219,7 @@ class Entity {
    * @param {number} height - Height of the entity
    */
   setAppearance(color = 0x3498db, width = 16, height = 16) {
+    if (!this.graphics) return;
     this.graphics.clear();
     this.graphics.rect(-width / 2, -height, width, height); // Bottom-center positioning
     this.graphics.fill(color);
@@ -200,7 +231,9 @@ class Entity {
    */
   setVisible(visible) {
     this.visible = visible;
-    this.container.visible = visible && this.active;
+    if (this.container) {
+      this.container.visible = visible && this.active;
+    }
   }
 
   /**
@@ -209,7 +242,23 @@ class Entity {
    */
   setActive(active) {
     this.active = active;
-    this.container.visible = this.visible && active;
+    if (this.container) {
+      this.container.visible = this.visible && active;
+    }
+  }
+
+  /**
+   * Make the entity carry a point light (e.g. a torch), or remove it
+   * @param {Object|null} options - Light options (see World.addLight()),
+   *   or null to remove the light
+   * @returns {Object|null} The light
+   */
+  setLight(options) {
+    if (this.light) this.game.removeLight(this.light);
+    this.light = options
+      ? this.game.addLight({ ...options, entity: this })
+      : null;
+    return this.light;
   }
 
   /**
@@ -255,6 +304,7 @@ class Entity {
    * @param {PIXI.DisplayObject} child - The child to add
    */
   addChild(child) {
+    if (!this.container) return;
     this.container.addChild(child);
   }
 
@@ -263,9 +313,56 @@ class Entity {
    * @param {PIXI.DisplayObject} child - The child to remove
    */
   removeChild(child) {
+    if (!this.container) return;
     this.container.removeChild(child);
   }
 
+  /**
+   * Get the state needed to recreate this entity with deserialize()
+   * @returns {Object} Plain object, safe to store as JSON
+   */
+  serialize() {
+    const data = {
+      type: this.constructor.name,
+      id: this.id,
+      position: { x: this.position.x, y: this.position.y },
+      velocity: { x: this.velocity.x, y: this.velocity.y },
+      active: this.active,
+      visible: this.visible,
+    };
+
+    if (this.light) {
+      const { radius, color, intensity, flicker } = this.light;
+      data.light = { radius, color, intensity, flicker };
+    }
+    return data;
+  }
+
+  /**
+   * Recreate an entity from serialize() data
+   * @param {Object} data - Serialized entity
+   * @param {World} game - World to add the entity to
+   * @returns {Entity} The new entity
+   */
+  static deserialize(data, game) {
+    const entity = new Entity(data.position.x, data.position.y, game);
+    entity.restoreState(data);
+    return entity;
+  }
+
+  /**
+   * Apply serialized state to a newly created entity. Subclasses extend it
+   * with their own fields.
+   * @param {Object} data - Serialized entity
+   */
+  restoreState(data) {
+    this.id = data.id ?? this.id;
+    this.setVelocity(data.velocity.x, data.velocity.y);
+    this.setVisible(data.visible ?? true);
+    this.setActive(data.active ?? true);
+    if (data.light) this.setLight(data.light);
+  }
+
   /**
    * Destroy the entity and clean up resources
    */
@@ -275,13 +372,20 @@ class Entity {
       this.game.grid.removeEntity(this);
     }
 
-    // Remove from main container
-    if (this.game && this.game.mainContainer && this.container.parent) {
-      this.game.mainContainer.removeChild(this.container);
+    if (this.light && this.game) {
+      this.game.removeLight(this.light);
+      this.light = null;
     }
 
-    // Destroy PIXI container
-    this.container.destroy({ children: true });
+    if (this.container) {
+      // Remove from main container
+      if (this.game && this.game.mainContainer && this.container.parent) {
+        this.game.mainContainer.removeChild(this.container);
+      }
+
+      // Destroy PIXI container
+      this.container.destroy({ children: true });
+    }
 
     // Clear references
     this.game = null;
@@ -0,0 +1,302 @@
+import { SeededRandom } from "./seededRandom.js";
+
+/**
+ * Hydraulic (droplet) and thermal erosion of the height layer.
+ *
+ * The world is covered by overlapping tiles aligned to the cell grid, each
+ * one eroded on its own from the raw heights with a generator seeded
+ * by the tile coordinates. A cell's eroded height blends the (up to four)
+ * tiles covering it with weights that fade out towards the tile edges, so
+ * the result depends only on the seed and the cell: chunks generated in any
+ * order, on any thread, meet without seams.
+ */
+export class Erosion {
+  // Tile size in cells; tiles start every tileSize / 2 cells
+  static tileSize = 32;
+  // Eroded tiles kept in memory (least recently used ones are dropped)
+  static maxCachedTiles = 256;
+
+  // Hydraulic erosion
+  static dropletsPerCell = 0.5;
+  static dropletLifetime = 30;
+  static inertia = 0.05;
+  static sedimentCapacity = 4;
+  static minSlope = 0.01;
+  static erodeSpeed = 0.3;
+  static depositSpeed = 0.3;
+  static evaporateSpeed = 0.02;
+  static gravity = 4;
+
+  // Thermal erosion: material slides down slopes steeper than the talus
+  static thermalIterations = 4;
+  static talus = 0.04;
+  static thermalRate = 0.25;
+
+  constructor(terrain) {
+    this.terrain = terrain;
+    this.tiles = new Map();
+  }
+
+  /**
+   * Get the eroded height of a cell
+   * @param {number} cellX - Cell X coordinate
+   * @param {number} cellY - Cell Y coordinate
+   * @returns {number} Height in the 0-1 range
+   */
+  sampleHeight(cellX, cellY) {
+    const size = Erosion.tileSize;
+    const stride = size / 2;
+    const firstTileX = Math.floor(cellX / stride) - 1;
+    const firstTileY = Math.floor(cellY / stride) - 1;
+
+    let height = 0;
+    for (let tileY = firstTileY; tileY <= firstTileY + 1; tileY++) {
+      const weightY = Erosion.tileWeight(cellY - tileY * stride);
+      for (let tileX = firstTileX; tileX <= firstTileX + 1; tileX++) {
+        const weightX = Erosion.tileWeight(cellX - tileX * stride);
+        const tile = this.getTile(tileX, tileY);
+        const localX = cellX - tileX * stride;
+        const localY = cellY - tileY * stride;
+        height += weightX * weightY * tile[localY * size + localX];
+      }
+    }
+
+    return Math.min(1, Math.max(0, height));
+  }
+
+  /**
+   * Weight of a cell inside a tile along one axis. Weights fall linearly to
+   * zero at the tile edges and the two tiles covering a cell sum to one.
+   * @param {number} local - Cell offset from the tile origin
+   * @returns {number} Weight in the 0-1 range
+   */
+  static tileWeight(local) {
+    const u = (local + 0.5) / Erosion.tileSize;
+    return 1 - Math.abs(2 * u - 1);
+  }
+
+  /**
+   * Get the eroded heights of a tile, eroding it on first use
+   * @param {number} tileX - Tile X coordinate
+   * @param {number} tileY - Tile Y coordinate
+   * @returns {Float64Array} Heights (index = y * tileSize + x)
+   */
+  getTile(tileX, tileY) {
+    const key = `${tileX}_${tileY}`;
+    let tile = this.tiles.get(key);
+
+    if (tile) {
+      // Move to the end so the oldest tiles are dropped first
+      this.tiles.delete(key);
+    } else {
+      tile = this.erodeTile(tileX, tileY);
+      if (this.tiles.size >= Erosion.maxCachedTiles) {
+        this.tiles.delete(this.tiles.keys().next().value);
+      }
+    }
+
+    this.tiles.set(key, tile);
+    return tile;
+  }
+
+  /**
+   * Sample the raw heights of a tile and erode them
+   * @param {number} tileX - Tile X coordinate
+   * @param {number} tileY - Tile Y coordinate
+   * @returns {Float64Array} Eroded heights
+   */
+  erodeTile(tileX, tileY) {
+    const size = Erosion.tileSize;
+    const originX = tileX * (size / 2);
+    const originY = tileY * (size / 2);
+
+    const heights = new Float64Array(size * size);
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        heights[y * size + x] = this.terrain.sampleRawHeight(
+          originX + x,
+          originY + y
+        );
+      }
+    }
+
+    const random = new SeededRandom(
+      SeededRandom.hash(this.terrain.seed, tileX, tileY)
+    );
+    Erosion.hydraulic(heights, size, random);
+    Erosion.thermal(heights, size);
+
+    return heights;
+  }
+
+  /**
+   * Height and gradient at a point between cells (bilinear interpolation)
+   * @param {Float64Array} heights - Height map
+   * @param {number} size - Map width and height
+   * @param {number} x - X position
+   * @param {number} y - Y position
+   * @returns {Object} {height, gradientX, gradientY}
+   */
+  static heightAndGradient(heights, size, x, y) {
+    const cellX = Math.floor(x);
+    const cellY = Math.floor(y);
+    const u = x - cellX;
+    const v = y - cellY;
+    const index = cellY * size + cellX;
+
+    const nw = heights[index];
+    const ne = heights[index + 1];
+    const sw = heights[index + size];
+    const se = heights[index + size + 1];
+
+    return {
+      height:
+        nw * (1 - u) * (1 - v) +
+        ne * u * (1 - v) +
+        sw * (1 - u) * v +
+        se * u * v,
+      gradientX: (ne - nw) * (1 - v) + (se - sw) * v,
+      gradientY: (sw - nw) * (1 - u) + (se - ne) * u,
+    };
+  }
+
+  /**
+   * Droplet-based hydraulic erosion: droplets roll downhill, pick up
+   * sediment on steep slopes and drop it where they slow down
+   * @param {Float64Array} heights - Height map (modified in place)
+   * @param {number} size - Map width and height
+   * @param {SeededRandom} random - Generator for droplet start positions
+   */
+  static hydraulic(heights, size, random) {
+    const droplets = Math.floor(size * size * Erosion.dropletsPerCell);
+
+    for (let i = 0; i < droplets; i++) {
+      let x = random.range(0, size - 1);
+      let y = random.range(0, size - 1);
+      let directionX = 0;
+      let directionY = 0;
+      let speed = 1;
+      let water = 1;
+      let sediment = 0;
+
+      for (let life = 0; life < Erosion.dropletLifetime; life++) {
+        const cellX = Math.floor(x);
+        const cellY = Math.floor(y);
+        const u = x - cellX;
+        const v = y - cellY;
+        const point = Erosion.heightAndGradient(heights, size, x, y);
+
+        // Follow the slope, keeping part of the previous direction
+        directionX =
+          directionX * Erosion.inertia -
+          point.gradientX * (1 - Erosion.inertia);
+        directionY =
+          directionY * Erosion.inertia -
+          point.gradientY * (1 - Erosion.inertia);
+        const length = Math.sqrt(
+          directionX * directionX + directionY * directionY
+        );
+        if (length === 0) break;
+        directionX /= length;
+        directionY /= length;
+
+        x += directionX;
+        y += directionY;
+        if (x < 0 || y < 0 || x >= size - 1 || y >= size - 1) break;
+
+        const deltaHeight =
+          Erosion.heightAndGradient(heights, size, x, y).height - point.height;
+
+        const capacity =
+          Math.max(-deltaHeight, Erosion.minSlope) *
+          speed *
+          water *
+          Erosion.sedimentCapacity;
+
+        // Amounts are spread over the four cells around the old position
+        const index = cellY * size + cellX;
+        const corners = [
+          [index, (1 - u) * (1 - v)],
+          [index + 1, u * (1 - v)],
+          [index + size, (1 - u) * v],
+          [index + size + 1, u * v],
+        ];
+
+        if (sediment > capacity || deltaHeight > 0) {
+          // Going uphill fills the pit behind; otherwise drop the excess
+          const amount =
+            deltaHeight > 0
+              ? Math.min(deltaHeight, sediment)
+              : (sediment - capacity) * Erosion.depositSpeed;
+          sediment -= amount;
+          for (const [corner, weight] of corners) {
+            heights[corner] += amount * weight;
+          }
+        } else {
+          // Never dig deeper than the height difference
+          const amount = Math.min(
+            (capacity - sediment) * Erosion.erodeSpeed,
+            -deltaHeight
+          );
+          for (const [corner, weight] of corners) {
+            const removed = Math.min(heights[corner], amount * weight);
+            heights[corner] -= removed;
+            sediment += removed;
+          }
+        }
+
+        speed = Math.sqrt(
+          Math.max(0, speed * speed + deltaHeight * Erosion.gravity)
+        );
+        water *= 1 - Erosion.evaporateSpeed;
+      }
+    }
+  }
+
+  /**
+   * Thermal erosion: material on slopes steeper than the talus slides to
+   * the lower neighbours
+   * @param {Float64Array} heights - Height map (modified in place)
+   * @param {number} size - Map width and height
+   */
+  static thermal(heights, size) {
+    const changes = new Float64Array(size * size);
+    const neighbors = [
+      [1, 0],
+      [0, 1],
+    ];
+
+    for (
+      let iteration = 0;
+      iteration < Erosion.thermalIterations;
+      iteration++
+    ) {
+      changes.fill(0);
+
+      for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+          const index = y * size + x;
+          for (const [dx, dy] of neighbors) {
+            if (x + dx >= size || y + dy >= size) continue;
+            const neighbor = (y + dy) * size + (x + dx);
+            const difference = heights[index] - heights[neighbor];
+            if (Math.abs(difference) <= Erosion.talus) continue;
+
+            // Positive amounts move material from this cell to the neighbour
+            const amount =
+              Math.sign(difference) *
+              (Math.abs(difference) - Erosion.talus) *
+              Erosion.thermalRate *
+              0.5;
+            changes[index] -= amount;
+            changes[neighbor] += amount;
+          }
+        }
+      }
+
+      for (let i = 0; i < heights.length; i++) {
+        heights[i] += changes[i];
+      }
+    }
+  }
+}
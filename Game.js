@@ -1,42 +1,79 @@
-class Game {
+import * as PIXI from "pixi.js";
+import { World } from "./World.js";
+import { AnimatedCharacter } from "./animated-character.js";
+import { ChunkRenderer } from "./ChunkRenderer.js";
+import { Minimap, MapView } from "./Minimap.js";
+import { TerrainOverlays } from "./TerrainOverlays.js";
+import { OverlayLegend } from "./OverlayLegend.js";
+import { Tileset } from "./Tileset.js";
+import { Lighting } from "./Lighting.js";
+import { WeatherRenderer } from "./WeatherRenderer.js";
+
+/**
+ * Renders a World with PIXI.js: owns the PIXI application, the game loop,
+ * terrain drawing and the views of entities.
+ */
+export class Game extends World {
   constructor(
     width = 1024,
     height = 768,
     canvasId = "gameCanvas",
     options = {}
   ) {
+    super(options);
+
+    // Headless games skip PIXI and the DOM; advance them manually with step()
+    this.headless = options.headless ?? false;
+
+    // Without an explicit radius, streaming follows the view as it zooms
+    this.autoChunkRadius = options.chunkLoadRadius === undefined;
+
+    // Mouse wheel and pinch zoom
+    this.cameraControls = options.cameraControls ?? true;
+
     // Game dimensions
     this.width = width;
     this.height = height;
     this.canvasId = canvasId;
-
-    this.cellSizeFactorToHeight = 10;
+    this.camera.setViewport(width, height);
+    if (this.autoChunkRadius) {
+      this.updateChunkRadius();
+    }
 
     // PIXI Application
     this.app = null;
     this.mainContainer = null;
     this.gridContainer = null; // Container for grid visualization
 
-    // Game systems
-    const cellSize = options.cellSize || 16;
-    const noiseFrequencies = options.noiseFrequencies || {};
-    this.grid = new Grid(cellSize, noiseFrequencies, this);
-    this.entities = new Set();
-    this.trees = new Set();
-    this.animals = new Set();
-    this.plants = new Set();
-    this.leaves = [];
+    // Draws terrain into cached per-chunk textures
+    this.chunkRenderer = null;
+
+    // Day/night light map over the world (see World.clock and addLight())
+    this.lighting = null;
+    this.weatherRenderer = null;
 
-    // Single graphics object for efficient rendering
-    this.gridGraphics = null;
+    // Terrain drawn from autotiled textures ("tiles") or flat colors
+    // ("color"); tiles are used once the tileset has loaded
+    this.terrainStyle = options.terrainStyle ?? "tiles";
+    this.tileset = null;
+
+    // Terrain debug overlay (see TerrainOverlays) and its legend
+    this.overlay = TerrainOverlays.get(options.overlay).name;
+    this.showOverlayLegend = options.overlayLegend ?? true;
+    this.overlayLegend = null;
+
+    // Corner minimap and full-screen world map (toggled with toggleMap())
+    this.showMinimap = options.minimap ?? true;
+    this.minimap = null;
+    this.mapView = null;
 
     // Game state
-    this.running = false;
     this.lastTime = 0;
-    this.deltaTime = 0;
 
     // Initialize the game
-    this.init();
+    if (!this.headless) {
+      this.init();
+    }
   }
 
   /**
@@ -70,18 +107,48 @@ class Game {
       this.mainContainer.sortableChildren = true;
       this.app.stage.addChild(this.mainContainer);
 
+      // Rain, snow and fog over the world, darkened by the light map
+      this.weatherRenderer = new WeatherRenderer(this);
+      this.app.stage.addChild(this.weatherRenderer.container);
+
+      // Multiplied over everything in the world, below the screen UI
+      this.lighting = new Lighting(this);
+      this.app.stage.addChild(this.lighting.sprite);
+
       // Create grid container for terrain visualization
       this.gridContainer = new PIXI.Container();
       this.mainContainer.addChild(this.gridContainer);
 
-      // Create single graphics object for efficient grid rendering
-      this.gridGraphics = new PIXI.Graphics();
-      this.gridContainer.addChild(this.gridGraphics);
-      // this.gridGraphics.zIndex = 10000
+      // Terrain is drawn per chunk; streaming tells the renderer what changed
+      this.chunkRenderer = new ChunkRenderer(
+        this,
+        this.gridContainer,
+        this.mainContainer
+      );
+      this.watchGrid();
 
-      // Set up the camera (centered on the world)
-      this.mainContainer.x = this.width / 2;
-      this.mainContainer.y = this.height / 2;
+      // Loads in the background; the renderer switches to tiles when ready
+      this.tileset = new Tileset();
+      this.tileset.load();
+
+      // Maps are drawn in screen space, above the world
+      if (this.showMinimap) {
+        this.minimap = new Minimap(this);
+        this.app.stage.addChild(this.minimap.container);
+      }
+      this.mapView = new MapView(this);
+      this.app.stage.addChild(this.mapView.container);
+
+      this.overlayLegend = new OverlayLegend(this);
+      this.overlayLegend.setVisible(this.showOverlayLegend);
+      this.overlayLegend.show(this.overlay);
+      this.app.stage.addChild(this.overlayLegend.container);
+
+      // Set up the camera (centered on the world) and its zoom controls
+      this.setCameraPosition(this.camera.x, this.camera.y);
+      if (this.cameraControls) {
+        this.setupCameraControls();
+      }
 
       console.log("PIXI.js v8 initialized successfully");
       console.log(
@@ -139,16 +206,6 @@ class Game {
   //   const tree = new LSystemTree(x, y, game, type);
   // }
 
-  growPlants() {
-    this.entities.forEach((entity) => {
-      if (entity.grow) {
-        entity.grow();
-      } else if (entity.regenerate) {
-        entity.regenerate();
-      }
-    });
-  }
-
   // spawnTrees() {
   //   // Define world bounds for tree spawning
   //   // You can adjust these values based on your desired world size
@@ -173,6 +230,28 @@ class Game {
   //   console.log(`Tree spawning complete. Total trees: ${this.trees.size}`);
   // }
 
+  /**
+   * Let the chunk renderer know when the grid streams chunks in and out
+   */
+  watchGrid() {
+    this.grid.onChunkLoad((chunk) => this.chunkRenderer.onChunkLoad(chunk));
+    this.grid.onChunkUnload((chunk) => this.chunkRenderer.releaseChunk(chunk));
+  }
+
+  /**
+   * Regenerate the world (see World.regenerate()) and drop everything that
+   * was drawn from the old one
+   * @param {Object} config - World config
+   */
+  regenerate(config) {
+    if (this.chunkRenderer) this.chunkRenderer.clear();
+    super.regenerate(config);
+
+    if (this.chunkRenderer) this.watchGrid();
+    if (this.minimap) this.minimap.refresh();
+    if (this.mapView) this.mapView.refresh();
+  }
+
   /**
    * Start the game loop
    */
@@ -182,8 +261,10 @@ class Game {
     this.running = true;
     this.lastTime = performance.now();
 
-    // Use PIXI's ticker for the game loop
-    this.app.ticker.add(this.gameLoop.bind(this));
+    // Use PIXI's ticker for the game loop (headless games call step() instead)
+    if (this.app) {
+      this.app.ticker.add(this.gameLoop, this);
+    }
 
     console.log("Game started");
   }
@@ -195,7 +276,9 @@ class Game {
     if (!this.running) return;
 
     this.running = false;
-    this.app.ticker.remove(this.gameLoop.bind(this));
+    if (this.app) {
+      this.app.ticker.remove(this.gameLoop, this);
+    }
 
     console.log("Game stopped");
   }
@@ -208,19 +291,7 @@ class Game {
     if (!this.running) return;
 
     // Calculate delta time in seconds
-    this.deltaTime = ticker.deltaTime / 60; // Convert from PIXI's deltaTime to seconds
-
-    // Update all entities
-    this.entities.forEach((entity) => {
-      if (entity.active) {
-        entity.update(this.deltaTime);
-      }
-    });
-
-    this.growPlants();
-
-    // Custom update logic can be added here
-    this.update(this.deltaTime);
+    this.step(ticker.deltaTime / 60); // Convert from PIXI's deltaTime to seconds
   }
 
   /**
@@ -228,238 +299,155 @@ class Game {
    * @param {number} deltaTime - Time since last update in seconds
    */
   update(deltaTime) {
-    // Override this method for custom game logic
+    if (this.autoChunkRadius) {
+      this.updateChunkRadius();
+    }
 
-    // Update all plants (L-system plants)
-    this.plants.forEach((plant) => {
-      if (plant.update) {
-        plant.update(deltaTime);
-      }
-    });
+    super.update(deltaTime);
+    this.applyCamera();
 
     // Update grid visualization
     this.updateGridVisualization();
+    if (this.weatherRenderer) this.weatherRenderer.update(deltaTime);
+    if (this.lighting) this.lighting.update();
+
+    if (this.minimap) this.minimap.update(deltaTime);
+    if (this.mapView) this.mapView.update(deltaTime);
   }
 
   /**
-   * Update grid visualization based on camera position
+   * Switch the terrain view to a debug overlay
+   * @param {string} name - Overlay name from TerrainOverlays.table
    */
-  updateGridVisualization() {
-    // Clear existing grid graphics
-    this.clearGridVisualization();
-
-    // Get camera position to determine which cells to render
-    const camera = this.getCameraPosition();
-    const cellSize = this.grid.cellSize;
-
-    // Calculate visible area with some padding
-    const padding = cellSize * 6;
-    const minX = camera.x - this.width / 2 - padding;
-    const maxX = camera.x + this.width / 2 + padding;
-    const minY = camera.y - this.height / 2 - padding;
-    const maxY = camera.y + this.height / 2 + padding;
-
-    // Convert to cell coordinates
-    const minCellX = Math.floor(minX / cellSize);
-    const maxCellX = Math.floor(maxX / cellSize);
-    const minCellY = Math.floor(minY / cellSize);
-    const maxCellY = Math.floor(maxY / cellSize);
-
-    // Render visible cells from back to front (top to bottom) for proper depth sorting
-
-    for (let cellY = minCellY; cellY <= maxCellY; cellY++) {
-      for (let cellX = minCellX; cellX <= maxCellX; cellX++) {
-        const cell = this.grid.getCell(cellX, cellY);
-        this.renderCell(cell);
-      }
-    }
+  setOverlay(name) {
+    this.overlay = TerrainOverlays.get(name).name;
+    if (this.overlayLegend) this.overlayLegend.show(this.overlay);
   }
 
   /**
-   * Render a single cell with its terrain color in pseudo-isometric style
-   * @param {Cell} cell - The cell to render
+   * Switch to the next terrain overlay
+   * @returns {string} Name of the new overlay
    */
-  renderCell(cell) {
-    if (!this.gridGraphics) return;
-
-    const color = cell.getColor();
-    const cellSize = cell.cellSize;
-    const heightOffset = cell.z; // Scale height for visual effect
-
-    // Convert RGB to hex for PIXI
-    const hexColor = (color.r << 16) | (color.g << 8) | color.b;
-
-    // Create darker colors for the sides (to show depth)
-    const darkenFactor = 0.7;
-    const sideColor =
-      (Math.floor(color.r * darkenFactor) << 16) |
-      (Math.floor(color.g * darkenFactor) << 8) |
-      Math.floor(color.b * darkenFactor);
-
-    // Only render height if the cell has elevation
-    // if (heightOffset > 0) {
-    //   // Render front face (vertical extrusion)
-    //   this.gridGraphics.beginFill(sideColor);
-    //   this.gridGraphics.drawRect(
-    //     cell.worldX,
-    //     cell.worldY - heightOffset,
-    //     cellSize,
-    //     heightOffset
-    //   );
-    //   this.gridGraphics.endFill();
-
-    //   // Render right side face for more 3D effect
-    //   this.gridGraphics.beginFill(sideColor * 0.8); // Even darker for side
-    //   this.gridGraphics.drawRect(
-    //     cell.worldX + cellSize,
-    //     cell.worldY - heightOffset,
-    //     2, // Thin side face
-    //     heightOffset + cellSize
-    //   );
-    //   this.gridGraphics.endFill();
-    // }
-
-    // Render top face (main cell color, offset by height)
-    this.gridGraphics.beginFill(hexColor);
-    this.gridGraphics.drawRect(
-      cell.worldX,
-      cell.worldY - heightOffset,
-      cellSize,
-      cellSize
-    );
-    this.gridGraphics.endFill();
-
-    // Add subtle border to top face
-    // this.gridGraphics.lineStyle(1, 0x333333, 1);
-    // this.gridGraphics.stroke(0x333333);
-    // this.gridGraphics.drawRect(
-    //   cell.worldX,
-    //   cell.worldY - heightOffset,
-    //   cellSize,
-    //   cellSize
-    // );
-
-    this.gridGraphics.lineStyle(0); // Reset line style
-
-    // Render flow direction vector if calculated
-    const flowDirection = cell.getFlowDirection();
-    if (flowDirection) {
-      const centerX = cell.worldX + cellSize / 2;
-      const centerY = cell.worldY - heightOffset + cellSize / 2;
-      const vectorLength = cellSize * 0.4; // Scale vector length to cell size
-
-      // Draw flow direction vector
-      this.gridGraphics.lineStyle(2, 0x000000, 0.5); // Green, semi-transparent
-      this.gridGraphics.moveTo(centerX, centerY);
-
-      this.gridGraphics.lineTo(
-        centerX + flowDirection.x * vectorLength,
-        centerY + flowDirection.y * vectorLength
-      );
+  cycleOverlay() {
+    this.setOverlay(TerrainOverlays.next(this.overlay));
+    return this.overlay;
+  }
 
-      // Draw arrow head
-      const arrowSize = 4;
-      const angle = Math.atan2(cell.flowDirection.y, cell.flowDirection.x);
-      this.gridGraphics.lineTo(
-        centerX +
-          cell.flowDirection.x * vectorLength -
-          arrowSize * Math.cos(angle - Math.PI / 6),
-        centerY +
-          cell.flowDirection.y * vectorLength -
-          arrowSize * Math.sin(angle - Math.PI / 6)
-      );
-      this.gridGraphics.moveTo(
-        centerX + cell.flowDirection.x * vectorLength,
-        centerY + cell.flowDirection.y * vectorLength
-      );
-      this.gridGraphics.lineTo(
-        centerX +
-          cell.flowDirection.x * vectorLength -
-          arrowSize * Math.cos(angle + Math.PI / 6),
-        centerY +
-          cell.flowDirection.y * vectorLength -
-          arrowSize * Math.sin(angle + Math.PI / 6)
-      );
-    }
+  /**
+   * Show or hide the overlay legend
+   * @param {boolean} visible - Whether the legend is shown
+   */
+  setOverlayLegendVisible(visible) {
+    this.showOverlayLegend = visible;
+    if (this.overlayLegend) this.overlayLegend.setVisible(visible);
   }
 
   /**
-   * Clear all grid visualization
+   * Choose how the terrain is drawn
+   * @param {string} style - "tiles" or "color"
    */
-  clearGridVisualization() {
-    if (this.gridGraphics) {
-      this.gridGraphics.clear();
-    }
+  setTerrainStyle(style) {
+    this.terrainStyle = style === "color" ? "color" : "tiles";
   }
 
   /**
-   * Create a new entity at the specified position
-   * @param {number} x - X position
-   * @param {number} y - Y position
-   * @param {number} color - Entity color (hex)
-   * @returns {Entity} The created entity
+   * Switch between tiled and flat color terrain
+   * @returns {string} The new terrain style
    */
-  createEntity(x = 0, y = 0, color = null) {
-    const entity = new Entity(x, y, this);
+  toggleTerrainStyle() {
+    this.setTerrainStyle(this.terrainStyle === "tiles" ? "color" : "tiles");
+    return this.terrainStyle;
+  }
 
-    if (color !== null) {
-      entity.setAppearance(color);
-    }
+  /**
+   * Open or close the full-screen world map
+   * @returns {boolean} Whether the map is now open
+   */
+  toggleMap() {
+    if (!this.mapView) return false;
 
-    return entity;
+    const open = this.mapView.toggle();
+    if (this.minimap) this.minimap.setVisible(!open);
+    return open;
   }
 
   /**
-   * Create a new tree at the specified position
-   * @param {number} x - X position
-   * @param {number} y - Y position
-   * @param {string} treeType - Optional tree type
-   * @returns {Tree} The created tree
+   * Update grid visualization based on camera position: chunks are drawn
+   * once into cached textures and only redrawn when they change
    */
-  createTree(x = 0, y = 0, treeType = null) {
-    return new Tree(x, y, this, treeType);
+  updateGridVisualization() {
+    if (this.headless || !this.chunkRenderer) return;
+
+    this.chunkRenderer.update(this.getVisibleBounds());
   }
 
   /**
-   * Remove an entity from the game
-   * @param {Entity} entity - The entity to remove
+   * Get the world area currently shown on screen
+   * @param {number} padding - Extra margin in pixels on every side
+   * @returns {Object} {minX, minY, maxX, maxY} in world coordinates
    */
-  removeEntity(entity) {
-    if (this.entities.has(entity)) {
-      this.entities.delete(entity);
-      entity.destroy();
+  getVisibleBounds(padding = 0) {
+    return this.camera.getVisibleBounds(padding);
+  }
+
+  /**
+   * Clear all grid visualization (cached chunks are redrawn on demand)
+   */
+  clearGridVisualization() {
+    if (this.chunkRenderer) {
+      this.chunkRenderer.clear();
     }
   }
 
   /**
-   * Get all entities in the game
-   * @returns {Set} Set of all entities
+   * Create the PIXI container and default graphics of an entity
+   * @param {Entity} entity - The entity
+   * @returns {Object} {container, graphics}
    */
-  getAllEntities() {
-    return new Set(this.entities);
+  createEntityView(entity) {
+    // PIXI Container
+    const container = new PIXI.Container();
+    container.pivot.x = 0.5;
+    container.pivot.y = 1;
+    container.x = entity.position.x;
+    container.y = entity.position.y;
+
+    // Default visual representation (a simple colored rectangle)
+    const graphics = new PIXI.Graphics();
+    graphics.rect(-8, -16, 16, 16); // Draw rectangle so bottom edge is at y=0
+    graphics.fill(0x3498db); // Blue color
+    container.addChild(graphics);
+
+    // Add to game's main container
+    if (this.mainContainer) {
+      this.mainContainer.addChild(container);
+    }
+
+    return { container, graphics };
   }
 
   /**
-   * Get entities within a radius of a point
-   * @param {number} x - Center X coordinate
-   * @param {number} y - Center Y coordinate
-   * @param {number} radius - Search radius
-   * @returns {Set} Set of entities within the radius
+   * Create a sprite from a preloaded asset
+   * @param {string} alias - Asset alias (see preloadAssets)
+   * @returns {PIXI.Sprite} The sprite
    */
-  getEntitiesInRadius(x, y, radius) {
-    return this.grid.getEntitiesInRadius(x, y, radius);
+  createSprite(alias) {
+    return PIXI.Sprite.from(alias);
   }
 
   /**
-   * Get entities in a rectangular area
-   * @param {number} x - Rectangle X coordinate
-   * @param {number} y - Rectangle Y coordinate
-   * @param {number} width - Rectangle width
-   * @param {number} height - Rectangle height
-   * @returns {Set} Set of entities in the area
+   * Create an animated character from a mega spritesheet
+   * @param {string} src - Spritesheet path
+   * @param {number} frameW - Frame width in pixels
+   * @param {number} frameH - Frame height in pixels
+   * @returns {Promise<{character: AnimatedCharacter, loadResults: Object}>}
    */
-  getEntitiesInArea(x, y, width, height) {
-    return this.grid.getEntitiesInArea(x, y, width, height);
+  createCharacter(src, frameW, frameH) {
+    return AnimatedCharacter.CreateCharacterFromMegaSpritesheet(
+      src,
+      frameW,
+      frameH
+    );
   }
 
   /**
@@ -468,19 +456,100 @@ class Game {
    * @param {number} y - Camera Y position
    */
   setCameraPosition(x, y) {
-    this.mainContainer.x = this.width / 2 - x;
-    this.mainContainer.y = this.height / 2 - y;
+    super.setCameraPosition(x, y);
+    this.applyCamera();
   }
 
   /**
-   * Get the camera position
-   * @returns {Object} Camera position {x, y}
+   * Move and scale the main container to match the camera
    */
-  getCameraPosition() {
-    return {
-      x: this.width / 2 - this.mainContainer.x,
-      y: this.height / 2 - this.mainContainer.y,
+  applyCamera() {
+    if (!this.mainContainer) return;
+
+    const camera = this.camera;
+    this.mainContainer.scale.set(camera.zoom);
+    this.mainContainer.x =
+      this.width / 2 + camera.shakeOffset.x - camera.x * camera.zoom;
+    this.mainContainer.y =
+      this.height / 2 + camera.shakeOffset.y - camera.y * camera.zoom;
+  }
+
+  /**
+   * Zoom with the mouse wheel (around the cursor) and two-finger pinch
+   */
+  setupCameraControls() {
+    const canvas = this.app.canvas;
+    const toCanvas = (clientX, clientY) => {
+      const rect = canvas.getBoundingClientRect();
+      return { x: clientX - rect.left, y: clientY - rect.top };
+    };
+
+    canvas.addEventListener(
+      "wheel",
+      (e) => {
+        e.preventDefault();
+        const point = toCanvas(e.clientX, e.clientY);
+        const factor = Math.exp(-e.deltaY * 0.001);
+        if (this.mapView && this.mapView.visible) {
+          this.mapView.zoomAt(point.x, point.y, factor);
+        } else {
+          this.camera.zoomAt(point.x, point.y, factor);
+        }
+      },
+      { passive: false }
+    );
+
+    let pinchDistance = null;
+    const getPinch = (touches) => {
+      const [a, b] = [touches[0], touches[1]];
+      return {
+        distance: Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY),
+        center: toCanvas(
+          (a.clientX + b.clientX) / 2,
+          (a.clientY + b.clientY) / 2
+        ),
+      };
     };
+
+    canvas.addEventListener("touchstart", (e) => {
+      if (e.touches.length === 2) {
+        pinchDistance = getPinch(e.touches).distance;
+      }
+    });
+
+    canvas.addEventListener(
+      "touchmove",
+      (e) => {
+        if (e.touches.length !== 2 || !pinchDistance) return;
+        e.preventDefault();
+        const pinch = getPinch(e.touches);
+        this.camera.zoomAt(
+          pinch.center.x,
+          pinch.center.y,
+          pinch.distance / pinchDistance
+        );
+        pinchDistance = pinch.distance;
+      },
+      { passive: false }
+    );
+
+    canvas.addEventListener("touchend", (e) => {
+      if (e.touches.length < 2) pinchDistance = null;
+    });
+  }
+
+  /**
+   * Grow or shrink the chunk load radius so streaming covers the view at
+   * the current zoom plus the render padding
+   */
+  updateChunkRadius() {
+    const grid = this.grid;
+    const bounds = this.camera.getVisibleBounds(grid.cellSize * 6);
+    const halfSpan =
+      Math.max(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY) / 2;
+
+    grid.chunkLoadRadius = Math.ceil(halfSpan / grid.cellSize / grid.chunkSize);
+    grid.chunkUnloadRadius = grid.chunkLoadRadius + 2;
   }
 
   /**
@@ -490,11 +559,7 @@ class Game {
    * @returns {Object} World coordinates {x, y}
    */
   screenToWorld(screenX, screenY) {
-    const camera = this.getCameraPosition();
-    return {
-      x: screenX - this.width / 2 + camera.x,
-      y: screenY - this.height / 2 + camera.y,
-    };
+    return this.camera.screenToWorld(screenX, screenY);
   }
 
   /**
@@ -504,20 +569,7 @@ class Game {
    * @returns {Object} Screen coordinates {x, y}
    */
   worldToScreen(worldX, worldY) {
-    const camera = this.getCameraPosition();
-    return {
-      x: worldX + this.width / 2 - camera.x,
-      y: worldY + this.height / 2 - camera.y,
-    };
-  }
-
-  /**
-   * Clear all entities from the game
-   */
-  clearEntities() {
-    this.entities.forEach((entity) => entity.destroy());
-    this.entities.clear();
-    this.grid.clear();
+    return this.camera.worldToScreen(worldX, worldY);
   }
 
   /**
@@ -531,11 +583,16 @@ class Game {
 
     if (this.app) {
       this.app.renderer.resize(width, height);
-
-      // Update camera center
-      this.mainContainer.x = width / 2;
-      this.mainContainer.y = height / 2;
     }
+
+    // Keep the camera centered on the same world position
+    this.camera.setViewport(width, height);
+    this.applyCamera();
+
+    if (this.lighting) this.lighting.resize(width, height);
+    if (this.minimap) this.minimap.layout();
+    if (this.overlayLegend) this.overlayLegend.layout();
+    if (this.mapView) this.mapView.resize(width, height);
   }
 
   /**
@@ -543,17 +600,11 @@ class Game {
    * @returns {Object} Debug information
    */
   getDebugInfo() {
-    const gridInfo = this.grid.getDebugInfo();
-
     return {
-      running: this.running,
+      ...super.getDebugInfo(),
       dimensions: { width: this.width, height: this.height },
-      entities: this.entities.size,
-      activeEntities: Array.from(this.entities).filter((e) => e.active).length,
-      grid: gridInfo,
-      camera: this.getCameraPosition(),
       fps: this.app ? Math.round(this.app.ticker.FPS) : 0,
-      deltaTime: this.deltaTime,
+      renderer: this.chunkRenderer ? this.chunkRenderer.getDebugInfo() : null,
     };
   }
 
@@ -562,7 +613,23 @@ class Game {
    */
   destroy() {
     this.stop();
-    this.clearEntities();
+    if (this.chunkRenderer) {
+      this.chunkRenderer.destroy();
+      this.chunkRenderer = null;
+    }
+    if (this.tileset) {
+      this.tileset.destroy();
+      this.tileset = null;
+    }
+    if (this.weatherRenderer) {
+      this.weatherRenderer.destroy();
+      this.weatherRenderer = null;
+    }
+    if (this.lighting) {
+      this.lighting.destroy();
+      this.lighting = null;
+    }
+    super.destroy();
 
     if (this.app) {
       this.app.destroy(true);
@@ -570,8 +637,6 @@ class Game {
     }
 
     this.mainContainer = null;
-    this.grid = null;
-    this.entities = null;
 
     console.log("Game destroyed");
   }
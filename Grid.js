@@ -1,24 +1,143 @@
-class Grid {
-  constructor(cellSize = 64, noiseFrequencies = {}, game) {
+import { Cell } from "./Cell.js";
+import { Chunk } from "./Chunk.js";
+import { TerrainGenerator } from "./TerrainGenerator.js";
+import { MapExporter } from "./MapExporter.js";
+
+export class Grid {
+  constructor(cellSize = 64, noiseConfig = {}, game, seed = 0, options = {}) {
     this.game = game;
+    this.seed = seed;
     this.cellSize = cellSize;
     this.cells = {}; // Hash map to store cells
 
+    // Chunk streaming: cells are generated in chunkSize x chunkSize blocks
+    this.chunkSize = options.chunkSize || 16;
+    this.chunkLoadRadius = options.chunkLoadRadius ?? 2; // In chunks
+    this.chunkUnloadRadius =
+      options.chunkUnloadRadius ?? this.chunkLoadRadius + 2;
+    this.chunkTimeBudget = options.chunkTimeBudget ?? 4; // ms per frame
+    this.chunks = {}; // Hash map to store chunks
+    this.chunkLoadQueue = [];
+    this.chunkListeners = { load: [], unload: [] };
+
+    // Changes of unloaded cells by cell key, applied when they come back
+    this.cellDiffs = new Map();
+
     // Flow field visualization toggle
     this.showFlowField = false;
 
-    // Set default noise frequencies (higher = more detailed/frequent changes)
-    this.noiseFrequencies = {
-      soilFertility: noiseFrequencies.soilFertility,
-      height: noiseFrequencies.height, // Lower frequency for larger terrain features
-      temperature: noiseFrequencies.temperature, // Higher frequency for more varied temperature zones
-      ...noiseFrequencies, // Allow overriding any of the above
+    // Noise layers and terrain sampling live in a DOM-free generator
+    // shared with the terrain worker
+    this.terrain = new TerrainGenerator(seed, noiseConfig, {
+      worldBounds: options.worldBounds,
+      falloff: options.worldFalloff,
+    });
+    this.noiseConfig = this.terrain.noiseConfig;
+
+    // Region exports (images and data dumps)
+    this.exporter = new MapExporter(this);
+
+    // Generate chunk terrain in a Web Worker when available
+    this.terrainWorker = null;
+    this.pendingChunkRequests = new Map(); // chunk key -> chunk
+    if (options.useWorker !== false && typeof Worker !== "undefined") {
+      this.startTerrainWorker(
+        options.workerUrl || new URL("./terrainWorker.js", import.meta.url)
+      );
+    }
+  }
+
+  /**
+   * Sample a noise layer at cell coordinates using that layer's recipe
+   * @param {string} layer - Layer name ("height", "soilFertility", "temperature", ...)
+   * @param {number} cellX - Cell X coordinate
+   * @param {number} cellY - Cell Y coordinate
+   * @param {number} z - Optional third coordinate (e.g. time) to animate the field
+   * @returns {number} Noise value in the 0-1 range
+   */
+  sampleNoise(layer, cellX, cellY, z) {
+    return this.terrain.sampleNoise(layer, cellX, cellY, z);
+  }
+
+  /**
+   * Start the terrain worker. If it fails (e.g. pages opened from file://),
+   * chunks fall back to being generated on the main thread.
+   * @param {string|URL} workerUrl - URL of terrainWorker.js
+   */
+  startTerrainWorker(workerUrl) {
+    try {
+      this.terrainWorker = new Worker(workerUrl, { type: "module" });
+    } catch (error) {
+      console.warn("Terrain worker unavailable, generating on main thread");
+      this.terrainWorker = null;
+      return;
+    }
+
+    this.terrainWorker.onmessage = (event) => {
+      if (event.data.type === "chunk") {
+        this.receiveChunkData(event.data.data);
+      }
+    };
+
+    this.terrainWorker.onerror = (error) => {
+      console.warn("Terrain worker failed, generating on main thread", error);
+      this.stopTerrainWorker();
     };
 
-    // Create noise generators for different properties
-    this.soilNoiseGenerator = new PerlinNoise(123);
-    this.heightNoiseGenerator = new PerlinNoise(456);
-    this.temperatureNoiseGenerator = new PerlinNoise(789);
+    this.terrainWorker.postMessage({
+      type: "init",
+      seed: this.seed,
+      noiseConfig: this.noiseConfig,
+      options: this.terrain.options,
+    });
+  }
+
+  /**
+   * Stop the terrain worker; chunks still waiting on it are generated locally
+   */
+  stopTerrainWorker() {
+    if (this.terrainWorker) {
+      this.terrainWorker.terminate();
+      this.terrainWorker = null;
+    }
+
+    this.pendingChunkRequests.forEach((chunk) => {
+      if (chunk.state === "generating") {
+        chunk.state = "queued";
+      }
+    });
+    this.pendingChunkRequests.clear();
+  }
+
+  /**
+   * Ask the terrain worker to generate a chunk
+   * @param {Chunk} chunk - The chunk to generate
+   */
+  requestChunkData(chunk) {
+    chunk.state = "generating";
+    this.pendingChunkRequests.set(chunk.key, chunk);
+    this.terrainWorker.postMessage({
+      type: "generate",
+      chunkX: chunk.chunkX,
+      chunkY: chunk.chunkY,
+      size: chunk.size,
+    });
+  }
+
+  /**
+   * Handle terrain data coming back from the worker
+   * @param {Object} data - Chunk data from TerrainGenerator.generateChunkData()
+   */
+  receiveChunkData(data) {
+    const key = this.getChunkKey(data.chunkX, data.chunkY);
+    const chunk = this.pendingChunkRequests.get(key);
+    this.pendingChunkRequests.delete(key);
+
+    // Ignore chunks that were unloaded while the worker was busy
+    if (!chunk || this.chunks[key] !== chunk) return;
+
+    chunk.setTerrainData(data);
+    chunk.state = "queued";
   }
 
   /**
@@ -54,12 +173,80 @@ class Grid {
     const key = this.getCellKey(cellX, cellY);
 
     if (!this.cells[key]) {
-      this.cells[key] = new Cell(cellX, cellY, this.cellSize, this);
+      const { chunkX, chunkY } = this.cellToChunk(cellX, cellY);
+      const chunk = this.getChunk(chunkX, chunkY);
+      const data = this.getCellTerrain(chunk, cellX, cellY);
+
+      const cell = new Cell(cellX, cellY, this.cellSize, this, data);
+      cell.provisional = !chunk.terrainData;
+      // Register the cell before spawning so its trees are added to it
+      // instead of triggering the creation of the same cell again
+      this.cells[key] = cell;
+      chunk.addCell(cell);
+      cell.chunk = chunk;
+      if (!cell.provisional) this.populateCell(cell);
     }
 
     return this.cells[key];
   }
 
+  /**
+   * Get the terrain of a new cell. Cells are built from their chunk's
+   * generated data. If the chunk has none yet, it is queued (and requested
+   * from the worker if there is one) and the cell starts from the cheap
+   * overview sample until the data arrives (see Chunk.setTerrainData()), so
+   * a single cell never costs a whole chunk's generation outside the
+   * streaming time budget.
+   * @param {Chunk} chunk - The cell's chunk
+   * @param {number} cellX - Cell X coordinate
+   * @param {number} cellY - Cell Y coordinate
+   * @returns {Object} Cell terrain data
+   */
+  getCellTerrain(chunk, cellX, cellY) {
+    const data = chunk.getCellData(cellX, cellY);
+    if (data) return data;
+
+    // Load the whole chunk, even outside the load radius: something is in it
+    if (chunk.state === "pending") {
+      chunk.state = "queued";
+      this.chunkLoadQueue.push(chunk);
+    }
+    if (chunk.state === "queued" && this.terrainWorker) {
+      this.requestChunkData(chunk);
+    }
+
+    return {
+      ...this.terrain.sampleOverview(cellX, cellY),
+      soilFertility: this.sampleNoise("soilFertility", cellX, cellY),
+    };
+  }
+
+  /**
+   * Spawn the trees of a cell with its final terrain and apply the changes
+   * saved for it
+   * @param {Cell} cell - The cell
+   */
+  populateCell(cell) {
+    cell.spawnTreesHere();
+
+    const key = this.getCellKey(cell.x, cell.y);
+    const diff = this.cellDiffs.get(key);
+    if (diff) {
+      this.cellDiffs.delete(key);
+      cell.applyDiff(diff);
+    }
+  }
+
+  /**
+   * Get a cell only if it has already been generated
+   * @param {number} cellX - Cell X coordinate
+   * @param {number} cellY - Cell Y coordinate
+   * @returns {Cell|null} The cell, or null if it is not loaded
+   */
+  getLoadedCell(cellX, cellY) {
+    return this.cells[this.getCellKey(cellX, cellY)] || null;
+  }
+
   /**
    * Get cell at world coordinates
    * @param {number} worldX - World X coordinate
@@ -71,6 +258,40 @@ class Grid {
     return this.getCell(cellX, cellY);
   }
 
+  /**
+   * Get the ground elevation (z offset) at a world position. It is the
+   * z of the cell there, blended with the neighbouring cells' close to
+   * their borders so entities climb and descend smoothly instead of
+   * jumping a whole level when they change cell.
+   * @param {number} worldX - World X coordinate
+   * @param {number} worldY - World Y coordinate
+   * @returns {number} Elevation in pixels
+   */
+  getElevationAt(worldX, worldY) {
+    // Position relative to the centers of the four closest cells
+    const u = worldX / this.cellSize - 0.5;
+    const v = worldY / this.cellSize - 0.5;
+    const cellX = Math.floor(u);
+    const cellY = Math.floor(v);
+
+    // Blend weights only move away from 0 and 1 near the shared border
+    const blend = Cell.elevationBlend;
+    const weight = (t) => Math.max(0, Math.min(1, (t - 0.5) / blend + 0.5));
+    const tx = weight(u - cellX);
+    const ty = weight(v - cellY);
+
+    // Cells that are not loaded count as flat with the one underneath
+    const own = this.getCellAtWorldPos(worldX, worldY).z;
+    const z = (dx, dy) => {
+      const cell = this.getLoadedCell(cellX + dx, cellY + dy);
+      return cell ? cell.z : own;
+    };
+
+    const top = z(0, 0) + (z(1, 0) - z(0, 0)) * tx;
+    const bottom = z(0, 1) + (z(1, 1) - z(0, 1)) * tx;
+    return top + (bottom - top) * ty;
+  }
+
   /**
    * Add an entity to the appropriate cell based on its position
    * @param {Entity} entity - The entity to add
@@ -192,12 +413,236 @@ class Grid {
     return entities;
   }
 
+  /**
+   * Export a rectangular region of cells
+   * @param {Object} region - {x, y, width, height} in cells
+   * @param {string|Array<string>} format - "png" (colors), a layer name for
+   *   a 16-bit grayscale PNG ("height", "temperature", "soilFertility",
+   *   "moisture"), "json" or "binary"; an array of formats exports them all
+   *   from a single read of the region
+   * @param {Object} options - {generateCells: create missing cells and their
+   *   trees instead of only sampling the terrain}
+   * @returns {Uint8Array|Object|Array} File bytes, or a plain object for
+   *   "json"; an array of those for an array of formats
+   */
+  exportRegion(region, format = "png", options = {}) {
+    if (Array.isArray(format)) {
+      return this.exporter.exportRegion(region, format, options);
+    }
+    return this.exporter.exportRegion(region, [format], options)[0];
+  }
+
+  /**
+   * Generate hash key for chunk coordinates
+   * @param {number} chunkX - Chunk X coordinate
+   * @param {number} chunkY - Chunk Y coordinate
+   * @returns {string} Hash key in format 'cx_1_cy_-2'
+   */
+  getChunkKey(chunkX, chunkY) {
+    return `cx_${chunkX}_cy_${chunkY}`;
+  }
+
+  /**
+   * Convert cell coordinates to chunk coordinates
+   * @param {number} cellX - Cell X coordinate
+   * @param {number} cellY - Cell Y coordinate
+   * @returns {Object} Object with chunkX and chunkY properties
+   */
+  cellToChunk(cellX, cellY) {
+    return {
+      chunkX: Math.floor(cellX / this.chunkSize),
+      chunkY: Math.floor(cellY / this.chunkSize),
+    };
+  }
+
+  /**
+   * Get or create the chunk at the specified chunk coordinates.
+   * A new chunk starts empty; its cells are generated by updateStreaming().
+   * @param {number} chunkX - Chunk X coordinate
+   * @param {number} chunkY - Chunk Y coordinate
+   * @returns {Chunk} The chunk
+   */
+  getChunk(chunkX, chunkY) {
+    const key = this.getChunkKey(chunkX, chunkY);
+
+    if (!this.chunks[key]) {
+      this.chunks[key] = new Chunk(chunkX, chunkY, this.chunkSize, this);
+    }
+
+    return this.chunks[key];
+  }
+
+  /**
+   * Register a callback run when a chunk finishes loading
+   * @param {Function} callback - Called with the loaded chunk
+   */
+  onChunkLoad(callback) {
+    this.chunkListeners.load.push(callback);
+  }
+
+  /**
+   * Register a callback run right before a chunk is unloaded
+   * @param {Function} callback - Called with the chunk being unloaded
+   */
+  onChunkUnload(callback) {
+    this.chunkListeners.unload.push(callback);
+  }
+
+  /**
+   * Stream chunks around a world position: queue missing chunks in a ring
+   * around it, generate queued chunks (closest first) until the frame's time
+   * budget is used up, and unload chunks that fell out of range.
+   * @param {number} worldX - Center X coordinate (usually the camera)
+   * @param {number} worldY - Center Y coordinate
+   * @param {number} timeBudget - Milliseconds available for generation this frame
+   */
+  updateStreaming(worldX, worldY, timeBudget = this.chunkTimeBudget) {
+    const { cellX, cellY } = this.worldToCell(worldX, worldY);
+    const { chunkX: centerX, chunkY: centerY } = this.cellToChunk(cellX, cellY);
+    const distanceTo = (chunk) =>
+      Math.max(
+        Math.abs(chunk.chunkX - centerX),
+        Math.abs(chunk.chunkY - centerY)
+      );
+
+    // Queue every chunk inside the load radius that is not loaded yet
+    for (let dy = -this.chunkLoadRadius; dy <= this.chunkLoadRadius; dy++) {
+      for (let dx = -this.chunkLoadRadius; dx <= this.chunkLoadRadius; dx++) {
+        const chunk = this.getChunk(centerX + dx, centerY + dy);
+        if (chunk.state === "pending") {
+          chunk.state = "queued";
+          this.chunkLoadQueue.push(chunk);
+        }
+      }
+    }
+
+    // Closest chunks first
+    this.chunkLoadQueue.sort((a, b) => distanceTo(a) - distanceTo(b));
+
+    // Hand new chunks to the worker; the main thread only builds cells
+    // and entities from the data it sends back
+    if (this.terrainWorker) {
+      for (const chunk of this.chunkLoadQueue) {
+        if (chunk.state === "queued" && !chunk.terrainData) {
+          this.requestChunkData(chunk);
+        }
+      }
+    }
+
+    const deadline = performance.now() + timeBudget;
+    for (const chunk of [...this.chunkLoadQueue]) {
+      if (performance.now() >= deadline) break;
+      if (chunk.state === "generating") continue;
+
+      if (chunk.generateStep(deadline)) {
+        this.chunkLoadQueue.splice(this.chunkLoadQueue.indexOf(chunk), 1);
+        this.chunkListeners.load.forEach((callback) => callback(chunk));
+      }
+    }
+
+    // Unload at most one chunk beyond the unload radius per frame
+    for (const chunk of Object.values(this.chunks)) {
+      if (distanceTo(chunk) > this.chunkUnloadRadius && chunk.canUnload()) {
+        this.unloadChunk(chunk);
+        break;
+      }
+    }
+  }
+
+  /**
+   * Unload a chunk, its cells and the trees they own. The chunk is
+   * regenerated from the world seed if it is streamed in again.
+   * @param {Chunk} chunk - The chunk to unload
+   */
+  unloadChunk(chunk) {
+    if (chunk.state === "loaded") {
+      this.chunkListeners.unload.forEach((callback) => callback(chunk));
+    }
+
+    const cells = chunk.getCells();
+    cells.forEach((cell) => {
+      const diff = cell.getDiff();
+      if (diff) this.cellDiffs.set(this.getCellKey(cell.x, cell.y), diff);
+    });
+    chunk.unload();
+    cells.forEach((cell) => delete this.cells[this.getCellKey(cell.x, cell.y)]);
+    delete this.chunks[chunk.key];
+
+    this.pendingChunkRequests.delete(chunk.key);
+    const queueIndex = this.chunkLoadQueue.indexOf(chunk);
+    if (queueIndex !== -1) {
+      this.chunkLoadQueue.splice(queueIndex, 1);
+    }
+
+    // Neighbour lists of cells near the border may still point at unloaded
+    // cells; drop them so they are rebuilt on demand
+    const margin = 3;
+    for (
+      let y = chunk.cellY - margin;
+      y < chunk.cellY + chunk.size + margin;
+      y++
+    ) {
+      for (
+        let x = chunk.cellX - margin;
+        x < chunk.cellX + chunk.size + margin;
+        x++
+      ) {
+        const neighbor = this.cells[this.getCellKey(x, y)];
+        if (neighbor) {
+          neighbor.neighborsInRadius = null;
+        }
+      }
+    }
+  }
+
+  /**
+   * Get the changes of every cell, loaded or not (see Cell.getDiff())
+   * @returns {Array} Cell diffs
+   */
+  getCellDiffs() {
+    const diffs = new Map(this.cellDiffs);
+    Object.values(this.cells).forEach((cell) => {
+      const diff = cell.getDiff();
+      if (diff) diffs.set(this.getCellKey(cell.x, cell.y), diff);
+    });
+    return [...diffs.values()];
+  }
+
+  /**
+   * Replace the cell changes, e.g. when loading a save. Loaded cells get
+   * theirs right away, the others when they are generated.
+   * @param {Array} diffs - Cell diffs from getCellDiffs()
+   */
+  setCellDiffs(diffs) {
+    this.cellDiffs.clear();
+    diffs.forEach((diff) => {
+      const cell = this.getLoadedCell(diff.x, diff.y);
+      if (cell) {
+        cell.applyDiff(diff);
+      } else {
+        this.cellDiffs.set(this.getCellKey(diff.x, diff.y), diff);
+      }
+    });
+  }
+
+  /**
+   * Re-derive the seasonal flags (ice, snow) of every loaded cell and
+   * redraw the chunks, whose colors follow the season
+   */
+  updateSeason() {
+    Object.values(this.cells).forEach((cell) => cell.updateTerrainFlags());
+    Object.values(this.chunks).forEach((chunk) => chunk.markDirty());
+  }
+
   /**
    * Clear all entities from the grid
    */
   clear() {
     Object.values(this.cells).forEach((cell) => cell.clear());
     this.cells = {};
+    this.chunks = {};
+    this.chunkLoadQueue = [];
+    this.pendingChunkRequests.clear();
   }
 
   /**
@@ -211,8 +656,12 @@ class Grid {
       0
     );
 
+    const chunks = Object.values(this.chunks);
+
     return {
       totalCells: cellKeys.length,
+      loadedChunks: chunks.filter((chunk) => chunk.state === "loaded").length,
+      queuedChunks: this.chunkLoadQueue.length,
       totalEntities: totalEntities,
       cellSize: this.cellSize,
       cells: this.cells,
@@ -0,0 +1,328 @@
+import { SeededRandom } from "./seededRandom.js";
+
+/**
+ * Rivers and lakes. Rivers start at high, wet cells and follow the steepest
+ * descent of the height field down to the sea. A pit on the way is flooded
+ * into a lake until it spills over, and the river continues from there.
+ *
+ * Every river is traced from its source using only the terrain layers, so any
+ * region of the infinite world can be computed on its own and neighbouring
+ * chunks always agree on the rivers crossing their borders.
+ */
+export class Hydrology {
+  // One source candidate is placed in every block of this many cells
+  static sourceSpacing = 6;
+  static minSourceHeight = 0.55;
+  static minSourceMoisture = 0.5;
+
+  // Rivers are traced for at most this many cells
+  static maxRiverLength = 64;
+  // Pits that need more cells than this to spill become terminal lakes
+  static maxLakeSize = 48;
+
+  // Rivers end when they reach this height (top of the water biome)
+  static seaLevel = 0.4;
+
+  // Water picked up by a river for every cell it crosses
+  static flowPerStep = 0.05;
+
+  // Single cells are read from traced tiles of this many cells, since
+  // tracing costs about the same for one cell as for a whole tile
+  static tileSize = 16;
+  // Traced tiles kept in memory (least recently used ones are dropped)
+  static maxCachedTiles = 64;
+
+  // Neighbour offsets; a river direction is an index into this list
+  static directions = [
+    [1, 0],
+    [1, 1],
+    [0, 1],
+    [-1, 1],
+    [-1, 0],
+    [-1, -1],
+    [0, -1],
+    [1, -1],
+  ];
+
+  constructor(terrain) {
+    this.terrain = terrain;
+    this.tiles = new Map();
+  }
+
+  /**
+   * Get the rivers and lakes of a single cell
+   * @param {number} cellX - Cell X coordinate
+   * @param {number} cellY - Cell Y coordinate
+   * @returns {Object} {flowAccumulation, riverDirection, lake}
+   */
+  sampleCell(cellX, cellY) {
+    const size = Hydrology.tileSize;
+    const tileX = Math.floor(cellX / size);
+    const tileY = Math.floor(cellY / size);
+    const tile = this.getTile(tileX, tileY);
+    const index = (cellY - tileY * size) * size + (cellX - tileX * size);
+
+    return {
+      flowAccumulation: tile.flowAccumulation[index],
+      riverDirection: tile.riverDirection[index],
+      lake: tile.lake[index],
+    };
+  }
+
+  /**
+   * Get a traced tile, tracing it if it is not cached
+   * @param {number} tileX - Tile X coordinate
+   * @param {number} tileY - Tile Y coordinate
+   * @returns {Object} Result of traceRegion() for the tile
+   */
+  getTile(tileX, tileY) {
+    const key = `${tileX}_${tileY}`;
+    let tile = this.tiles.get(key);
+
+    if (tile) {
+      // Move to the end so the oldest tiles are dropped first
+      this.tiles.delete(key);
+    } else {
+      const size = Hydrology.tileSize;
+      tile = this.traceRegion(tileX * size, tileY * size, size, size);
+      if (this.tiles.size >= Hydrology.maxCachedTiles) {
+        this.tiles.delete(this.tiles.keys().next().value);
+      }
+    }
+
+    this.tiles.set(key, tile);
+    return tile;
+  }
+
+  /**
+   * Trace every river that can reach a rectangular region of cells
+   * @param {number} originX - Cell X coordinate of the region's top-left cell
+   * @param {number} originY - Cell Y coordinate of the region's top-left cell
+   * @param {number} width - Region width in cells
+   * @param {number} height - Region height in cells
+   * @returns {Object} {flowAccumulation, riverDirection, lake} typed arrays
+   *   with one entry per cell (index = y * width + x)
+   */
+  traceRegion(originX, originY, width, height) {
+    const count = width * height;
+    const region = {
+      originX,
+      originY,
+      width,
+      height,
+      flowAccumulation: new Float32Array(count),
+      riverDirection: new Int8Array(count).fill(-1),
+      lake: new Uint8Array(count),
+    };
+
+    // Heights are sampled many times while tracing; keep them for this call
+    const heights = new Map();
+    region.getHeight = (x, y) => {
+      const key = `${x}_${y}`;
+      let value = heights.get(key);
+      if (value === undefined) {
+        value = this.terrain.sampleHeight(x, y);
+        heights.set(key, value);
+      }
+      return value;
+    };
+
+    // Only sources within reach of the region can affect it
+    const spacing = Hydrology.sourceSpacing;
+    const reach = Hydrology.maxRiverLength;
+    const minBlockX = Math.floor((originX - reach) / spacing);
+    const maxBlockX = Math.floor((originX + width - 1 + reach) / spacing);
+    const minBlockY = Math.floor((originY - reach) / spacing);
+    const maxBlockY = Math.floor((originY + height - 1 + reach) / spacing);
+
+    for (let blockY = minBlockY; blockY <= maxBlockY; blockY++) {
+      for (let blockX = minBlockX; blockX <= maxBlockX; blockX++) {
+        const hash = SeededRandom.hash(this.terrain.seed, blockX, blockY);
+        const sourceX = blockX * spacing + (hash % spacing);
+        const sourceY = blockY * spacing + ((hash >>> 8) % spacing);
+        if (Hydrology.distanceToRegion(sourceX, sourceY, region) > reach) {
+          continue;
+        }
+
+        if (region.getHeight(sourceX, sourceY) < Hydrology.minSourceHeight) {
+          continue;
+        }
+        const moisture = this.terrain.sampleNoise("moisture", sourceX, sourceY);
+        if (moisture < Hydrology.minSourceMoisture) continue;
+
+        this.traceRiver(sourceX, sourceY, moisture, region);
+      }
+    }
+
+    return {
+      flowAccumulation: region.flowAccumulation,
+      riverDirection: region.riverDirection,
+      lake: region.lake,
+    };
+  }
+
+  /**
+   * Follow a river downhill from its source, recording the cells it crosses
+   * inside the region
+   * @param {number} sourceX - Source cell X coordinate
+   * @param {number} sourceY - Source cell Y coordinate
+   * @param {number} flow - Water carried at the source
+   * @param {Object} region - Region being traced
+   */
+  traceRiver(sourceX, sourceY, flow, region) {
+    let x = sourceX;
+    let y = sourceY;
+    // Cells already crossed by this river (and its lakes) are never revisited
+    const visited = new Set([`${x}_${y}`]);
+    let steps = 0;
+
+    while (steps < Hydrology.maxRiverLength) {
+      // Stop as soon as the river can no longer reach the region
+      if (
+        Hydrology.distanceToRegion(x, y, region) >
+        Hydrology.maxRiverLength - steps
+      ) {
+        return;
+      }
+
+      const height = region.getHeight(x, y);
+      if (height < Hydrology.seaLevel) return;
+
+      let direction = -1;
+      let lowest = height;
+      Hydrology.directions.forEach(([dx, dy], index) => {
+        if (visited.has(`${x + dx}_${y + dy}`)) return;
+        const neighborHeight = region.getHeight(x + dx, y + dy);
+        if (neighborHeight < lowest) {
+          lowest = neighborHeight;
+          direction = index;
+        }
+      });
+
+      if (direction === -1) {
+        // A pit: flood it until the water finds a way out
+        const lake = this.floodLake(x, y, visited, region);
+        for (const cell of lake.cells) {
+          const index = Hydrology.regionIndex(cell.x, cell.y, region);
+          if (index !== -1) region.lake[index] = 1;
+        }
+        if (!lake.spill) return;
+
+        // Jumping across the lake counts as steps, so rivers are cut at the
+        // same point whichever region is being traced
+        steps += Math.max(
+          Math.abs(lake.spill.x - x),
+          Math.abs(lake.spill.y - y)
+        );
+        x = lake.spill.x;
+        y = lake.spill.y;
+        visited.add(`${x}_${y}`);
+        continue;
+      }
+
+      const index = Hydrology.regionIndex(x, y, region);
+      if (index !== -1) {
+        region.flowAccumulation[index] += flow;
+        region.riverDirection[index] = direction;
+      }
+
+      const [dx, dy] = Hydrology.directions[direction];
+      x += dx;
+      y += dy;
+      visited.add(`${x}_${y}`);
+      flow += Hydrology.flowPerStep;
+      steps++;
+    }
+  }
+
+  /**
+   * Flood a pit, lowest cells first, until the water level reaches a cell
+   * lower than the lake (the spill point) or the lake grows too big
+   * @param {number} pitX - Pit cell X coordinate
+   * @param {number} pitY - Pit cell Y coordinate
+   * @param {Set} visited - Cells crossed by the river so far (updated)
+   * @param {Object} region - Region being traced
+   * @returns {Object} {cells, spill} where spill is {x, y} or null
+   */
+  floodLake(pitX, pitY, visited, region) {
+    const cells = [];
+    const boundary = [
+      { x: pitX, y: pitY, height: region.getHeight(pitX, pitY) },
+    ];
+    const queued = new Set([`${pitX}_${pitY}`]);
+    let level = -Infinity;
+
+    while (boundary.length > 0) {
+      // The boundary stays small, so a linear search for the lowest is enough
+      let lowestIndex = 0;
+      for (let i = 1; i < boundary.length; i++) {
+        if (boundary[i].height < boundary[lowestIndex].height) lowestIndex = i;
+      }
+      const cell = boundary.splice(lowestIndex, 1)[0];
+
+      if (cell.height < level) {
+        return { cells, spill: { x: cell.x, y: cell.y } };
+      }
+      if (cells.length >= Hydrology.maxLakeSize) break;
+
+      level = cell.height;
+      cells.push(cell);
+      visited.add(`${cell.x}_${cell.y}`);
+
+      for (const [dx, dy] of Hydrology.directions) {
+        const key = `${cell.x + dx}_${cell.y + dy}`;
+        if (queued.has(key) || visited.has(key)) continue;
+        queued.add(key);
+        boundary.push({
+          x: cell.x + dx,
+          y: cell.y + dy,
+          height: region.getHeight(cell.x + dx, cell.y + dy),
+        });
+      }
+    }
+
+    return { cells, spill: null };
+  }
+
+  /**
+   * Chebyshev distance (in cells) from a cell to a region
+   * @param {number} x - Cell X coordinate
+   * @param {number} y - Cell Y coordinate
+   * @param {Object} region - Region with originX, originY, width and height
+   * @returns {number} 0 inside the region
+   */
+  static distanceToRegion(x, y, region) {
+    const dx = Math.max(
+      region.originX - x,
+      0,
+      x - (region.originX + region.width - 1)
+    );
+    const dy = Math.max(
+      region.originY - y,
+      0,
+      y - (region.originY + region.height - 1)
+    );
+    return Math.max(dx, dy);
+  }
+
+  /**
+   * Index of a cell in the region's arrays
+   * @param {number} x - Cell X coordinate
+   * @param {number} y - Cell Y coordinate
+   * @param {Object} region - Region with originX, originY, width and height
+   * @returns {number} Array index, or -1 outside the region
+   */
+  static regionIndex(x, y, region) {
+    const localX = x - region.originX;
+    const localY = y - region.originY;
+    if (
+      localX < 0 ||
+      localY < 0 ||
+      localX >= region.width ||
+      localY >= region.height
+    ) {
+      return -1;
+    }
+    return localY * region.width + localX;
+  }
+}
@@ -0,0 +1,361 @@
+import { Tree } from "./Tree.js";
+import { Cell } from "./Cell.js";
+
+/**
+ * In-game inspector panel (plain DOM). Clicking the world selects the
+ * entity under the cursor, or else the cell. Cells show their terrain,
+ * biome, flow, tree spawn chances and entities; entities show their
+ * getDebugInfo() live. Numeric and boolean fields can be edited in place.
+ */
+export class Inspector {
+  // Entity fields offered for editing (when the entity has them)
+  static entityFields = [
+    "maxSpeed",
+    "maxAcceleration",
+    "friction",
+    "moveSpeed",
+    "health",
+    "maxHealth",
+    "separationRadius",
+    "separationStrength",
+    "flowfieldStrength",
+    "maxWanderForce",
+    "static",
+    "visible",
+    "active",
+  ];
+
+  // Fields that must go through a setter to update the entity's view
+  static setters = { visible: "setVisible", active: "setActive" };
+
+  // Clicks this close (in screen pixels) to an entity select it
+  static pickRadius = 16;
+  static refreshInterval = 250; // ms
+
+  constructor(game) {
+    this.game = game;
+    this.selection = null; // {cell} or {entity}
+
+    this.panel = document.createElement("div");
+    this.panel.id = "inspectorPanel";
+    this.panel.style.cssText = `
+        position: fixed;
+        top: 190px;
+        right: 10px;
+        width: 280px;
+        max-height: calc(100vh - 210px);
+        overflow-y: auto;
+        background: rgba(0, 0, 0, 0.8);
+        color: white;
+        padding: 10px;
+        font-family: monospace;
+        font-size: 12px;
+        border-radius: 5px;
+        z-index: 1000;
+        display: none;
+    `;
+    document.body.appendChild(this.panel);
+
+    // Inputs and links are rebuilt with the selection, so listen on the panel
+    this.panel.addEventListener("change", (e) => this.onFieldChange(e.target));
+    this.panel.addEventListener("click", (e) => this.onPanelClick(e));
+
+    this.timer = setInterval(() => this.refresh(), Inspector.refreshInterval);
+  }
+
+  /**
+   * Inspect whatever is under a screen point
+   * @param {number} screenX - Screen X coordinate
+   * @param {number} screenY - Screen Y coordinate
+   */
+  inspectAt(screenX, screenY) {
+    const world = this.game.screenToWorld(screenX, screenY);
+    const entity = this.pickEntity(world.x, world.y);
+
+    if (entity) {
+      this.inspectEntity(entity);
+    } else {
+      this.inspectCell(this.game.grid.getCellAtWorldPos(world.x, world.y));
+    }
+  }
+
+  /**
+   * Find the entity closest to a world point within the pick radius.
+   * Entities are drawn above their position, so their middle is used.
+   * @param {number} worldX - World X coordinate
+   * @param {number} worldY - World Y coordinate
+   * @returns {Entity|null} The entity, if any
+   */
+  pickEntity(worldX, worldY) {
+    const radius = Inspector.pickRadius / this.game.camera.zoom;
+    let closest = null;
+    let closestDistance = Infinity;
+
+    this.game
+      .getEntitiesInRadius(worldX, worldY + radius / 2, radius * 2)
+      .forEach((entity) => {
+        const distance = Math.hypot(
+          entity.position.x - worldX,
+          entity.position.y - radius / 2 - worldY
+        );
+        if (distance < radius && distance < closestDistance) {
+          closest = entity;
+          closestDistance = distance;
+        }
+      });
+
+    return closest;
+  }
+
+  /**
+   * Show a cell
+   * @param {Cell} cell - The cell
+   */
+  inspectCell(cell) {
+    this.selection = { cell };
+    this.render();
+  }
+
+  /**
+   * Show an entity
+   * @param {Entity} entity - The entity
+   */
+  inspectEntity(entity) {
+    this.selection = { entity };
+    this.render();
+  }
+
+  /**
+   * Close the panel
+   */
+  close() {
+    this.selection = null;
+    this.panel.style.display = "none";
+  }
+
+  /**
+   * Build the panel for the current selection
+   */
+  render() {
+    if (!this.selection) return;
+
+    const { cell, entity } = this.selection;
+    let html =
+      '<button data-action="close" style="float: right;">&times;</button>';
+    html += cell ? this.renderCell(cell) : this.renderEntity(entity);
+
+    this.panel.innerHTML = html;
+    this.panel.style.display = "block";
+    this.refresh();
+  }
+
+  /**
+   * HTML for a cell: terrain, biome, flow, tree chances and entities
+   * @param {Cell} cell - The cell
+   * @returns {string} HTML
+   */
+  renderCell(cell) {
+    const flow = cell.getFlowDirection();
+    let html = `<h3>Cell (${cell.x}, ${cell.y})</h3>`;
+    html += `<div>World: (${cell.worldX}, ${cell.worldY})</div>`;
+    html += `<div>Biome: ${cell.biome.name}</div>`;
+    html += `<div>Height level: ${cell.level} (z ${cell.z})</div>`;
+    html += `<div>Season temperature: ${cell
+      .getTemperature()
+      .toFixed(2)}</div>`;
+    html += `<div>Soil moisture: ${cell.getMoisture().toFixed(2)}</div>`;
+
+    html += '<div style="margin-top: 8px;">Terrain:</div>';
+    Cell.savedFields.forEach((field) => {
+      html += Inspector.renderField(field, cell[field], "cell", 0.01);
+    });
+    const flags = [
+      "water",
+      "beach",
+      "desert",
+      "frozen",
+      "ice",
+      "snow",
+      "river",
+      "lake",
+    ];
+    html += `<div>Flags: ${
+      flags.filter((flag) => cell[flag]).join(", ") || "none"
+    }</div>`;
+    html += `<div>Flow: (${flow.x.toFixed(2)}, ${flow.y.toFixed(2)})</div>`;
+    html += `<div>Flow accumulation: ${cell.flowAccumulation.toFixed(2)}</div>`;
+
+    html += '<div style="margin-top: 8px;">Tree spawn chances:</div>';
+    Tree.types.forEach((type) => {
+      const chance = cell.calculateTreeSpawnChance(
+        cell.height,
+        cell.soilFertility,
+        cell.temperature,
+        type
+      );
+      const allowed = cell.biome.trees.types.includes(type);
+      const scaled = allowed ? chance * cell.biome.trees.density : 0;
+      html += `<div>${type}: ${(chance * 100).toFixed(1)}% → ${(
+        scaled * 100
+      ).toFixed(1)}%${allowed ? "" : " (not in biome)"}</div>`;
+    });
+
+    html += `<div style="margin-top: 8px;">Entities (${cell.getEntityCount()}):</div>`;
+    let index = 0;
+    cell.getEntities().forEach((entity) => {
+      html += `<div><a href="#" data-entity="${index++}" style="color: #8cf;">${
+        entity.constructor.name
+      } ${entity.id}</a></div>`;
+    });
+
+    return html;
+  }
+
+  /**
+   * HTML for an entity: editable fields and a live debug view
+   * @param {Entity} entity - The entity
+   * @returns {string} HTML
+   */
+  renderEntity(entity) {
+    let html = `<h3>${entity.constructor.name}</h3>`;
+    html += `<div>${entity.id}</div>`;
+
+    html += '<div style="margin-top: 8px;">Fields:</div>';
+    Inspector.entityFields.forEach((field) => {
+      if (
+        typeof entity[field] === "number" ||
+        typeof entity[field] === "boolean"
+      ) {
+        html += Inspector.renderField(field, entity[field], "entity", "any");
+      }
+    });
+
+    if (entity.currentCell) {
+      html += `<div style="margin-top: 8px;"><a href="#" data-action="cell" style="color: #8cf;">Cell (${entity.currentCell.x}, ${entity.currentCell.y})</a></div>`;
+    }
+
+    html += '<div style="margin-top: 8px;">Debug info:</div>';
+    html +=
+      '<pre data-live="debug" style="margin: 0; white-space: pre-wrap;"></pre>';
+    return html;
+  }
+
+  /**
+   * HTML for an editable field
+   * @param {string} field - Field name
+   * @param {number|boolean} value - Current value
+   * @param {string} target - "cell" or "entity"
+   * @param {number|string} step - Number input step
+   * @returns {string} HTML
+   */
+  static renderField(field, value, target, step) {
+    const input =
+      typeof value === "boolean"
+        ? `<input type="checkbox" data-field="${field}" data-target="${target}" ${
+            value ? "checked" : ""
+          }>`
+        : `<input type="number" step="${step}" data-field="${field}" data-target="${target}" value="${value}" style="width: 100px;">`;
+    return `<div><label>${field}: ${input}</label></div>`;
+  }
+
+  /**
+   * Update live values: the entity's debug info and inputs that are not
+   * being edited
+   */
+  refresh() {
+    if (!this.selection) return;
+
+    const { cell, entity } = this.selection;
+    const source = cell || entity;
+
+    if (entity && !entity.game) {
+      this.panel.querySelector('[data-live="debug"]').textContent =
+        "Entity was removed";
+      return;
+    }
+
+    this.panel.querySelectorAll("input[data-field]").forEach((input) => {
+      if (input === document.activeElement) return;
+      const value = source[input.dataset.field];
+      if (input.type === "checkbox") {
+        input.checked = value;
+      } else {
+        input.value = Number(value.toFixed(4));
+      }
+    });
+
+    if (entity) {
+      this.panel.querySelector('[data-live="debug"]').textContent =
+        JSON.stringify(entity.getDebugInfo(), Inspector.formatValue, 2);
+    }
+  }
+
+  /**
+   * Round numbers in the debug view
+   * @param {string} key - JSON key
+   * @param {*} value - JSON value
+   * @returns {*} Value to show
+   */
+  static formatValue(key, value) {
+    return typeof value === "number" ? Number(value.toFixed(3)) : value;
+  }
+
+  /**
+   * Apply an edited field to the selected cell or entity
+   * @param {HTMLElement} input - The changed input
+   */
+  onFieldChange(input) {
+    if (!this.selection || !input.dataset.field) return;
+
+    const field = input.dataset.field;
+    const value =
+      input.type === "checkbox" ? input.checked : Number(input.value);
+    if (typeof value === "number" && !Number.isFinite(value)) return;
+
+    if (input.dataset.target === "cell") {
+      const cell = this.selection.cell;
+      cell[field] = value;
+      cell.updateTerrainFlags();
+      cell.markDirty(); // Redraw it and keep the edit in saves
+      return;
+    }
+
+    const entity = this.selection.entity;
+    const setter = Inspector.setters[field];
+    if (setter) {
+      entity[setter](value);
+    } else {
+      entity[field] = value;
+    }
+  }
+
+  /**
+   * Handle the close button and links to entities or cells
+   * @param {MouseEvent} e - Click event
+   */
+  onPanelClick(e) {
+    const { action, entity } = e.target.dataset;
+    if (!this.selection || (!action && entity === undefined)) return;
+    e.preventDefault();
+
+    if (action === "close") {
+      this.close();
+    } else if (action === "cell") {
+      const cell = this.selection.entity.currentCell;
+      if (cell) this.inspectCell(cell);
+    } else {
+      // Entities may have left the cell since the list was built
+      const entities = [...this.selection.cell.getEntities()];
+      const target = entities[Number(entity)];
+      if (target) this.inspectEntity(target);
+    }
+  }
+
+  /**
+   * Remove the panel
+   */
+  destroy() {
+    clearInterval(this.timer);
+    this.panel.remove();
+  }
+}
@@ -0,0 +1,148 @@
+import * as PIXI from "pixi.js";
+
+/**
+ * Day/night lighting. Every frame a screen-sized light map is filled with
+ * the clock's ambient color, the world's point lights are added on top as
+ * soft circles, and the map is multiplied over the world. In full daylight
+ * the ambient color is white and the light map is skipped.
+ */
+export class Lighting {
+  // Side in pixels of the light gradient texture
+  static gradientSize = 128;
+  // Resolution of the light map relative to the screen
+  static resolution = 0.5;
+
+  constructor(game) {
+    this.game = game;
+
+    this.mapTexture = PIXI.RenderTexture.create({
+      width: game.width,
+      height: game.height,
+      resolution: Lighting.resolution,
+    });
+    this.sprite = new PIXI.Sprite(this.mapTexture);
+    this.sprite.blendMode = "multiply";
+    this.sprite.visible = false;
+
+    // Rendered into the light map, never added to the stage
+    this.lightContainer = new PIXI.Container();
+    this.gradient = Lighting.createGradient(Lighting.gradientSize);
+    this.lightSprites = []; // Reused from frame to frame
+  }
+
+  /**
+   * Create a white radial gradient, opaque in the center and transparent
+   * at the edge
+   * @param {number} size - Side in pixels
+   * @returns {PIXI.Texture} Gradient texture
+   */
+  static createGradient(size) {
+    const pixels = new Uint8Array(size * size * 4);
+    const radius = size / 2;
+
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        const distance = Math.hypot(x + 0.5 - radius, y + 0.5 - radius);
+        const t = Math.max(0, 1 - distance / radius);
+        const index = (y * size + x) * 4;
+        pixels[index] = 255;
+        pixels[index + 1] = 255;
+        pixels[index + 2] = 255;
+        pixels[index + 3] = Math.round(t * t * 255);
+      }
+    }
+
+    return new PIXI.Texture({
+      source: new PIXI.BufferImageSource({
+        resource: pixels,
+        width: size,
+        height: size,
+        format: "rgba8unorm",
+      }),
+    });
+  }
+
+  /**
+   * Redraw the light map for the current time and camera
+   */
+  update() {
+    const game = this.game;
+    const ambient = game.clock.getAmbientColor();
+
+    this.sprite.visible = ambient.r < 255 || ambient.g < 255 || ambient.b < 255;
+    if (!this.sprite.visible) return;
+
+    const zoom = game.camera.zoom;
+    const bounds = game.getVisibleBounds();
+    let used = 0;
+
+    game.lights.forEach((light) => {
+      const { x, y, z } = game.getLightPosition(light);
+      if (
+        x + light.radius < bounds.minX ||
+        x - light.radius > bounds.maxX ||
+        y - z + light.radius < bounds.minY ||
+        y - z - light.radius > bounds.maxY
+      ) {
+        return;
+      }
+
+      const sprite = this.getLightSprite(used++);
+      const screen = game.worldToScreen(x, y - z);
+      sprite.x = screen.x;
+      sprite.y = screen.y;
+      sprite.scale.set((light.radius * 2 * zoom) / Lighting.gradientSize);
+      sprite.tint = light.color;
+      // Flicker is only visual, so it must not draw from the world's
+      // seeded generator
+      sprite.alpha = light.intensity * (1 - light.flicker * Math.random());
+      sprite.visible = true;
+    });
+
+    for (let i = used; i < this.lightSprites.length; i++) {
+      this.lightSprites[i].visible = false;
+    }
+
+    game.app.renderer.render({
+      container: this.lightContainer,
+      target: this.mapTexture,
+      clear: true,
+      clearColor: [ambient.r / 255, ambient.g / 255, ambient.b / 255, 1],
+    });
+  }
+
+  /**
+   * Get a pooled light sprite, creating it if needed
+   * @param {number} index - Pool index
+   * @returns {PIXI.Sprite} Light sprite
+   */
+  getLightSprite(index) {
+    if (!this.lightSprites[index]) {
+      const sprite = new PIXI.Sprite(this.gradient);
+      sprite.anchor.set(0.5);
+      sprite.blendMode = "add";
+      this.lightContainer.addChild(sprite);
+      this.lightSprites[index] = sprite;
+    }
+    return this.lightSprites[index];
+  }
+
+  /**
+   * Match the light map to the screen size
+   * @param {number} width - Screen width
+   * @param {number} height - Screen height
+   */
+  resize(width, height) {
+    this.mapTexture.resize(width, height);
+  }
+
+  /**
+   * Release the light map and gradient textures
+   */
+  destroy() {
+    this.sprite.destroy();
+    this.mapTexture.destroy(true);
+    this.lightContainer.destroy({ children: true });
+    this.gradient.destroy(true);
+  }
+}
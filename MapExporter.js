@@ -0,0 +1,487 @@
+import { Biomes } from "./Biomes.js";
+import { Hydrology } from "./Hydrology.js";
+import { Seasons } from "./Seasons.js";
+
+/**
+ * Exports a rectangular region of cells as images and data dumps for use
+ * in other tools. Everything is built in plain typed arrays (PNGs are
+ * encoded here, uncompressed), so it works headless and in workers.
+ *
+ * Generated cells are exported as they are, including edits; other cells
+ * come from the terrain generator one chunk at a time, without creating
+ * cells or trees unless generateCells is set.
+ */
+export class MapExporter {
+  // Per-cell layers in the 0-1 range, exported as grayscale images
+  static layers = ["height", "temperature", "soilFertility", "moisture"];
+
+  // Other export formats: color image and data dumps
+  static formats = ["png", "json", "binary"];
+
+  // Bumped when the JSON or binary layout changes
+  static version = 1;
+
+  // First bytes of a binary dump
+  static magic = "PMAP";
+
+  static crcTable = null;
+
+  constructor(grid) {
+    this.grid = grid;
+  }
+
+  /**
+   * Export a region in one or more formats. The region is read once and
+   * every file is built from the same data, so chunks that are not loaded
+   * are only generated once.
+   * @param {Object} region - {x, y, width, height} in cells
+   * @param {Array<string>} formats - Each "png", "json", "binary" or one of
+   *   MapExporter.layers
+   * @param {Object} options - See readRegion()
+   * @returns {Array<Uint8Array|Object>} One file per format
+   */
+  exportRegion(region, formats, options) {
+    formats.forEach((format) => {
+      if (
+        !MapExporter.formats.includes(format) &&
+        !MapExporter.layers.includes(format)
+      ) {
+        throw new Error(`Unknown export format: ${format}`);
+      }
+    });
+
+    const data = this.readRegion(region, options);
+    return formats.map((format) => {
+      switch (format) {
+        case "png":
+          return this.toColorPNG(data);
+        case "json":
+          return this.toJSON(data);
+        case "binary":
+          return this.toBinary(data);
+        default:
+          return this.toLayerPNG(data, format);
+      }
+    });
+  }
+
+  /**
+   * Read the terrain, colors and entities of a region
+   * @param {Object} region - {x, y, width, height} in cells
+   * @param {Object} options - {generateCells: create missing cells (and
+   *   their trees) instead of only sampling their terrain}
+   * @returns {Object} Region data with one array entry per cell
+   *   (index = y * width + x)
+   */
+  readRegion(region, options = {}) {
+    const { x: originX, y: originY, width, height } = region;
+    const count = width * height;
+
+    const layers = {};
+    MapExporter.layers.forEach((name) => {
+      layers[name] = new Float32Array(count);
+    });
+    const biome = new Uint8Array(count);
+    const flowAccumulation = new Float32Array(count);
+    const riverDirection = new Int8Array(count);
+    const lake = new Uint8Array(count);
+    const colors = new Uint8Array(count * 4);
+
+    // Terrain of chunks that are not loaded, generated once per export
+    const chunkData = new Map();
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const index = y * width + x;
+        const data = this.getCellData(
+          originX + x,
+          originY + y,
+          chunkData,
+          options.generateCells
+        );
+
+        MapExporter.layers.forEach((name) => {
+          layers[name][index] = data[name];
+        });
+        biome[index] = data.biome;
+        flowAccumulation[index] = data.flowAccumulation;
+        riverDirection[index] = data.riverDirection;
+        lake[index] = data.lake ? 1 : 0;
+
+        colors[index * 4] = data.color.r;
+        colors[index * 4 + 1] = data.color.g;
+        colors[index * 4 + 2] = data.color.b;
+        colors[index * 4 + 3] = 255;
+      }
+    }
+
+    return {
+      region: { x: originX, y: originY, width, height },
+      layers,
+      biome,
+      flowAccumulation,
+      riverDirection,
+      lake,
+      colors,
+      ...this.getPlacements(region),
+    };
+  }
+
+  /**
+   * Get the terrain and color of a cell, generated or not
+   * @param {number} cellX - Cell X coordinate
+   * @param {number} cellY - Cell Y coordinate
+   * @param {Map} chunkData - Cache of generated chunk data by chunk key
+   * @param {boolean} generateCells - Create the cell if it does not exist
+   * @returns {Object} Terrain values, biome index and color
+   */
+  getCellData(cellX, cellY, chunkData, generateCells = false) {
+    const grid = this.grid;
+    const cell = generateCells
+      ? grid.getCell(cellX, cellY)
+      : grid.getLoadedCell(cellX, cellY);
+
+    // Cells still waiting for their chunk only have the overview terrain
+    if (cell && !cell.provisional) {
+      return {
+        height: cell.height,
+        temperature: cell.temperature,
+        soilFertility: cell.soilFertility,
+        moisture: cell.moisture,
+        biome: Biomes.getIndex(cell.biome.name),
+        flowAccumulation: cell.flowAccumulation,
+        riverDirection: cell.river
+          ? Hydrology.directions.findIndex(
+              ([dx, dy]) =>
+                dx === cell.riverDirection[0] && dy === cell.riverDirection[1]
+            )
+          : -1,
+        lake: cell.lake,
+        color: cell.getColor(),
+      };
+    }
+
+    const { chunkX, chunkY } = grid.cellToChunk(cellX, cellY);
+    const key = grid.getChunkKey(chunkX, chunkY);
+    let data = chunkData.get(key);
+    if (!data) {
+      const chunk = grid.chunks[key];
+      data =
+        chunk && chunk.terrainData
+          ? chunk.terrainData
+          : grid.terrain.generateChunkData(chunkX, chunkY, grid.chunkSize);
+      chunkData.set(key, data);
+    }
+
+    const size = grid.chunkSize;
+    const index = (cellY - chunkY * size) * size + (cellX - chunkX * size);
+    const terrain = {
+      height: data.height[index],
+      temperature: data.temperature[index],
+      soilFertility: data.soilFertility[index],
+      moisture: data.moisture[index],
+      biome: data.biome[index],
+      flowAccumulation: data.flowAccumulation[index],
+      riverDirection: data.riverDirection[index],
+      lake: data.lake[index] === 1,
+    };
+    const clock = grid.game.clock;
+    terrain.color = Seasons.getColor(
+      Biomes.get(terrain.biome),
+      terrain.height,
+      clock.getTemperature(terrain.temperature),
+      clock.season
+    );
+    return terrain;
+  }
+
+  /**
+   * Get the trees and animals standing in a region
+   * @param {Object} region - {x, y, width, height} in cells
+   * @returns {Object} {trees, animals}, arrays of placements in world pixels
+   */
+  getPlacements(region) {
+    const grid = this.grid;
+    const world = grid.game;
+    const cellSize = grid.cellSize;
+    const left = region.x * cellSize;
+    const top = region.y * cellSize;
+    const right = left + region.width * cellSize;
+    const bottom = top + region.height * cellSize;
+
+    const trees = [];
+    const animals = [];
+    grid
+      .getEntitiesInArea(left, top, right - left, bottom - top)
+      .forEach((entity) => {
+        const { x, y } = entity.position;
+        // getEntitiesInArea() includes the right and bottom edges
+        if (x >= right || y >= bottom) return;
+
+        if (world && world.trees.has(entity)) {
+          trees.push({ x, y, type: entity.treeType });
+        } else if (world && world.animals.has(entity)) {
+          animals.push({ x, y, id: entity.id });
+        }
+      });
+
+    return { trees, animals };
+  }
+
+  /**
+   * Color image of a region, one pixel per cell (same colors as the map)
+   * @param {Object} data - Region data from readRegion()
+   * @returns {Uint8Array} PNG file
+   */
+  toColorPNG(data) {
+    const { width, height } = data.region;
+    return MapExporter.encodePNG(data.colors, width, height, 6, 8);
+  }
+
+  /**
+   * 16-bit grayscale image of one layer (0 = black, 1 = white)
+   * @param {Object} data - Region data from readRegion()
+   * @param {string} layer - One of MapExporter.layers
+   * @returns {Uint8Array} PNG file
+   */
+  toLayerPNG(data, layer) {
+    if (!MapExporter.layers.includes(layer)) {
+      throw new Error(`Unknown map layer: ${layer}`);
+    }
+
+    const { region } = data;
+    const values = data.layers[layer];
+    const pixels = new Uint8Array(values.length * 2);
+    const view = new DataView(pixels.buffer);
+    values.forEach((value, index) => {
+      const level = Math.round(Math.min(1, Math.max(0, value)) * 65535);
+      view.setUint16(index * 2, level); // PNG samples are big-endian
+    });
+
+    return MapExporter.encodePNG(pixels, region.width, region.height, 0, 16);
+  }
+
+  /**
+   * Dump of every cell property plus tree and animal placements, ready for
+   * JSON.stringify()
+   * @param {Object} data - Region data from readRegion()
+   * @returns {Object} Plain object
+   */
+  toJSON(data) {
+    const layers = {};
+    MapExporter.layers.forEach((name) => {
+      layers[name] = Array.from(data.layers[name]);
+    });
+
+    return {
+      ...this.getHeader(data),
+      layers,
+      biome: Array.from(data.biome),
+      flowAccumulation: Array.from(data.flowAccumulation),
+      riverDirection: Array.from(data.riverDirection),
+      lake: Array.from(data.lake),
+      trees: data.trees,
+      animals: data.animals,
+    };
+  }
+
+  /**
+   * Compact binary dump: "PMAP", a little-endian uint32 header length, a
+   * JSON header (metadata, placements and the offset of every array), then
+   * the raw little-endian arrays, each aligned to 4 bytes
+   * @param {Object} data - Region data from readRegion()
+   * @returns {Uint8Array} Binary file
+   */
+  toBinary(data) {
+    const arrays = [
+      ...MapExporter.layers.map((name) => [name, data.layers[name]]),
+      ["biome", data.biome],
+      ["flowAccumulation", data.flowAccumulation],
+      ["riverDirection", data.riverDirection],
+      ["lake", data.lake],
+    ];
+    const align = (offset) => Math.ceil(offset / 4) * 4;
+
+    // Array offsets are relative to the end of the header
+    let offset = 0;
+    const layout = arrays.map(([name, array]) => {
+      const entry = { name, type: array.constructor.name, offset };
+      offset = align(offset + array.byteLength);
+      return entry;
+    });
+
+    const header = new TextEncoder().encode(
+      JSON.stringify({
+        ...this.getHeader(data),
+        arrays: layout,
+        trees: data.trees,
+        animals: data.animals,
+      })
+    );
+    const dataStart = align(8 + header.length);
+    const bytes = new Uint8Array(dataStart + offset);
+
+    bytes.set(new TextEncoder().encode(MapExporter.magic), 0);
+    new DataView(bytes.buffer).setUint32(4, header.length, true);
+    bytes.set(header, 8);
+    arrays.forEach(([, array], i) => {
+      bytes.set(
+        new Uint8Array(array.buffer, array.byteOffset, array.byteLength),
+        dataStart + layout[i].offset
+      );
+    });
+
+    return bytes;
+  }
+
+  /**
+   * Metadata shared by the JSON and binary dumps
+   * @param {Object} data - Region data from readRegion()
+   * @returns {Object} Header
+   */
+  getHeader(data) {
+    return {
+      version: MapExporter.version,
+      seed: this.grid.seed,
+      cellSize: this.grid.cellSize,
+      region: data.region,
+      biomes: Biomes.table.map((biome) => biome.name),
+    };
+  }
+
+  /**
+   * Encode pixels as a PNG file. Image data is stored without compression
+   * so no zlib implementation is needed.
+   * @param {Uint8Array} pixels - Rows of samples, top to bottom
+   * @param {number} width - Width in pixels
+   * @param {number} height - Height in pixels
+   * @param {number} colorType - 0 (grayscale), 2 (RGB) or 6 (RGBA)
+   * @param {number} bitDepth - 8 or 16 bits per sample
+   * @returns {Uint8Array} PNG file
+   */
+  static encodePNG(pixels, width, height, colorType, bitDepth) {
+    const channels = { 0: 1, 2: 3, 6: 4 }[colorType];
+    const stride = (width * channels * bitDepth) / 8;
+
+    // Every row starts with its filter type (0 = none)
+    const raw = new Uint8Array((stride + 1) * height);
+    for (let y = 0; y < height; y++) {
+      raw.set(
+        pixels.subarray(y * stride, (y + 1) * stride),
+        y * (stride + 1) + 1
+      );
+    }
+
+    const header = new Uint8Array(13);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, width);
+    view.setUint32(4, height);
+    header[8] = bitDepth;
+    header[9] = colorType;
+
+    return MapExporter.concat([
+      new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+      MapExporter.pngChunk("IHDR", header),
+      MapExporter.pngChunk("IDAT", MapExporter.zlibStore(raw)),
+      MapExporter.pngChunk("IEND", new Uint8Array(0)),
+    ]);
+  }
+
+  /**
+   * Build a PNG chunk: length, type, data and CRC
+   * @param {string} type - Four letter chunk type
+   * @param {Uint8Array} data - Chunk data
+   * @returns {Uint8Array} Chunk bytes
+   */
+  static pngChunk(type, data) {
+    const bytes = new Uint8Array(data.length + 12);
+    const view = new DataView(bytes.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) {
+      bytes[4 + i] = type.charCodeAt(i);
+    }
+    bytes.set(data, 8);
+    view.setUint32(
+      data.length + 8,
+      MapExporter.crc32(bytes.subarray(4, data.length + 8))
+    );
+    return bytes;
+  }
+
+  /**
+   * Wrap data in a zlib stream made of uncompressed deflate blocks
+   * @param {Uint8Array} data - Data to wrap
+   * @returns {Uint8Array} zlib stream
+   */
+  static zlibStore(data) {
+    const maxBlock = 65535;
+    const blocks = Math.max(1, Math.ceil(data.length / maxBlock));
+    const bytes = new Uint8Array(2 + blocks * 5 + data.length + 4);
+    const view = new DataView(bytes.buffer);
+    bytes[0] = 0x78;
+    bytes[1] = 0x01;
+
+    let offset = 2;
+    for (let block = 0; block < blocks; block++) {
+      const start = block * maxBlock;
+      const length = Math.min(maxBlock, data.length - start);
+      bytes[offset] = block === blocks - 1 ? 1 : 0; // Final block flag
+      view.setUint16(offset + 1, length, true);
+      view.setUint16(offset + 3, ~length & 0xffff, true);
+      bytes.set(data.subarray(start, start + length), offset + 5);
+      offset += 5 + length;
+    }
+
+    // Adler-32 checksum of the uncompressed data
+    let a = 1;
+    let b = 0;
+    for (let i = 0; i < data.length; i++) {
+      a = (a + data[i]) % 65521;
+      b = (b + a) % 65521;
+    }
+    view.setUint32(offset, ((b << 16) | a) >>> 0);
+
+    return bytes;
+  }
+
+  /**
+   * CRC-32 as used by PNG
+   * @param {Uint8Array} bytes - Data
+   * @returns {number} Unsigned 32-bit checksum
+   */
+  static crc32(bytes) {
+    if (!MapExporter.crcTable) {
+      MapExporter.crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        MapExporter.crcTable[n] = c >>> 0;
+      }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = MapExporter.crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  /**
+   * Join byte arrays
+   * @param {Array<Uint8Array>} parts - Arrays to join
+   * @returns {Uint8Array} Joined bytes
+   */
+  static concat(parts) {
+    const bytes = new Uint8Array(
+      parts.reduce((sum, part) => sum + part.length, 0)
+    );
+    let offset = 0;
+    parts.forEach((part) => {
+      bytes.set(part, offset);
+      offset += part.length;
+    });
+    return bytes;
+  }
+}
@@ -0,0 +1,463 @@
+import * as PIXI from "pixi.js";
+import { WorldMap } from "./WorldMap.js";
+
+/**
+ * Corner minimap around the camera, drawn from cell colors (or the terrain
+ * overview where nothing was generated yet) with markers for the player,
+ * animals and tree density. The image is re-rendered over several frames
+ * whenever the camera moved far enough.
+ */
+export class Minimap {
+  static size = 160; // Screen pixels
+  static cellsPerPixel = 1;
+  static margin = 10;
+  static renderBudget = 2; // ms per frame
+  // Re-render after the camera moved this many cells, or after this long
+  static refreshDistance = 4;
+  static refreshInterval = 2; // Seconds
+  static markerInterval = 0.25; // Seconds
+  static treeBlock = 8; // Pixels per tree density square
+
+  constructor(game) {
+    this.game = game;
+    this.worldMap = new WorldMap(game);
+    this.visible = true;
+
+    const size = Minimap.size;
+    this.container = new PIXI.Container();
+    this.image = Minimap.createPixelImage(size, size);
+    this.container.addChild(this.image.sprite);
+    this.markers = new PIXI.Graphics();
+    this.container.addChild(this.markers);
+    this.frame = new PIXI.Graphics()
+      .rect(0, 0, size, size)
+      .stroke({ width: 2, color: 0xffffff, alpha: 0.8 });
+    this.container.addChild(this.frame);
+
+    this.job = null; // Image being rendered
+    this.shownJob = null; // Image on screen, used to place the markers
+    this.refreshTimer = 0;
+    this.markerTimer = 0;
+
+    this.layout();
+  }
+
+  /**
+   * Create a sprite backed by an RGBA pixel buffer
+   * @param {number} width - Width in pixels
+   * @param {number} height - Height in pixels
+   * @returns {Object} {pixels, source, sprite}; call source.update() after
+   *   changing pixels
+   */
+  static createPixelImage(width, height) {
+    const pixels = new Uint8Array(width * height * 4);
+    const source = new PIXI.BufferImageSource({
+      resource: pixels,
+      width,
+      height,
+      format: "rgba8unorm",
+      scaleMode: "nearest",
+    });
+    const sprite = new PIXI.Sprite(new PIXI.Texture({ source }));
+    return { pixels, source, sprite };
+  }
+
+  /**
+   * Place the minimap in the top-right corner of the screen
+   */
+  layout() {
+    this.container.x = this.game.width - Minimap.size - Minimap.margin;
+    this.container.y = Minimap.margin;
+  }
+
+  /**
+   * Show or hide the minimap
+   * @param {boolean} visible - Whether the minimap is shown
+   */
+  setVisible(visible) {
+    this.visible = visible;
+    this.container.visible = visible;
+  }
+
+  /**
+   * Render the image again right away, e.g. after the world changed
+   */
+  refresh() {
+    this.job = null;
+    this.shownJob = null;
+  }
+
+  /**
+   * Continue rendering the image and refresh the markers
+   * @param {number} deltaTime - Time since last update in seconds
+   */
+  update(deltaTime) {
+    if (!this.visible) return;
+
+    const camera = this.game.getCameraPosition();
+    const center = this.game.grid.worldToCell(camera.x, camera.y);
+    this.refreshTimer += deltaTime;
+
+    if (!this.job) {
+      const shown = this.shownJob;
+      const moved =
+        !shown ||
+        Math.max(
+          Math.abs(center.cellX - shown.centerX),
+          Math.abs(center.cellY - shown.centerY)
+        ) >= Minimap.refreshDistance;
+
+      if (moved || this.refreshTimer >= Minimap.refreshInterval) {
+        // Render into a back buffer so the minimap never shows half an image
+        this.job = this.worldMap.createJob({
+          centerX: center.cellX,
+          centerY: center.cellY,
+          cellsPerPixel: Minimap.cellsPerPixel,
+          width: Minimap.size,
+          height: Minimap.size,
+          pixels: this.backPixels,
+        });
+        this.backPixels = this.job.pixels;
+      }
+    }
+
+    if (this.job) {
+      const deadline = performance.now() + Minimap.renderBudget;
+      if (this.worldMap.continueJob(this.job, deadline)) {
+        this.image.pixels.set(this.job.pixels);
+        this.image.source.update();
+        this.shownJob = this.job;
+        this.job = null;
+        this.refreshTimer = 0;
+        this.markerTimer = Minimap.markerInterval;
+      }
+    }
+
+    this.markerTimer += deltaTime;
+    if (this.markerTimer >= Minimap.markerInterval) {
+      this.markerTimer = 0;
+      this.drawMarkers();
+    }
+  }
+
+  /**
+   * Draw tree density squares, animals, the view rectangle and the player
+   */
+  drawMarkers() {
+    const job = this.shownJob;
+    if (!job) return;
+
+    const size = Minimap.size;
+    const inside = (point) =>
+      point.x >= 0 && point.y >= 0 && point.x < size && point.y < size;
+    const markers = this.markers;
+    markers.clear();
+
+    // Tree density per square of the minimap
+    const block = Minimap.treeBlock;
+    const counts = new Map();
+    this.game.trees.forEach((tree) => {
+      const point = this.worldMap.worldToPixel(
+        job,
+        tree.position.x,
+        tree.position.y
+      );
+      if (!inside(point)) return;
+      const key = `${Math.floor(point.x / block)}_${Math.floor(
+        point.y / block
+      )}`;
+      counts.set(key, (counts.get(key) || 0) + 1);
+    });
+    counts.forEach((count, key) => {
+      const [blockX, blockY] = key.split("_").map(Number);
+      markers
+        .rect(blockX * block, blockY * block, block, block)
+        .fill({ color: 0x0b5d1e, alpha: Math.min(0.7, count / 10) });
+    });
+
+    this.game.animals.forEach((animal) => {
+      const point = this.worldMap.worldToPixel(
+        job,
+        animal.position.x,
+        animal.position.y
+      );
+      if (inside(point)) {
+        markers.circle(point.x, point.y, 1.5).fill(0xff4444);
+      }
+    });
+
+    // Area shown on screen
+    const bounds = this.game.getVisibleBounds();
+    const topLeft = this.worldMap.worldToPixel(job, bounds.minX, bounds.minY);
+    const bottomRight = this.worldMap.worldToPixel(
+      job,
+      bounds.maxX,
+      bounds.maxY
+    );
+    const clamp = (value) => Math.min(size, Math.max(0, value));
+    markers
+      .rect(
+        clamp(topLeft.x),
+        clamp(topLeft.y),
+        clamp(bottomRight.x) - clamp(topLeft.x),
+        clamp(bottomRight.y) - clamp(topLeft.y)
+      )
+      .stroke({ width: 1, color: 0xffffff, alpha: 0.6 });
+
+    const target = this.game.camera.target;
+    if (target) {
+      const position = target.position || target;
+      const point = this.worldMap.worldToPixel(job, position.x, position.y);
+      if (inside(point)) {
+        markers
+          .circle(point.x, point.y, 3)
+          .fill(0xffffff)
+          .stroke({ width: 1, color: 0x000000 });
+      }
+    }
+  }
+}
+
+/**
+ * Full-screen world map that can be dragged and zoomed over generated and
+ * never visited areas alike. It renders at a low resolution (one map pixel
+ * per pixelSize screen pixels), progressively over frames.
+ */
+export class MapView {
+  static pixelSize = 4; // Screen pixels per map pixel
+  static renderBudget = 6; // ms per frame
+  static minCellsPerPixel = 0.25;
+  static maxCellsPerPixel = 64;
+
+  constructor(game) {
+    this.game = game;
+    this.worldMap = new WorldMap(game);
+    this.visible = false;
+
+    // Map center in cells and scale
+    this.centerX = 0;
+    this.centerY = 0;
+    this.cellsPerPixel = 4;
+
+    this.container = new PIXI.Container();
+    this.container.visible = false;
+    this.background = new PIXI.Graphics();
+    this.container.addChild(this.background);
+    this.image = null;
+    this.markers = new PIXI.Graphics();
+
+    this.job = null;
+    this.dirty = true;
+    this.dragStart = null;
+
+    this.resize(game.width, game.height);
+    this.setupDragging();
+  }
+
+  /**
+   * Rebuild the map image for a new screen size
+   * @param {number} width - Screen width
+   * @param {number} height - Screen height
+   */
+  resize(width, height) {
+    this.background.clear().rect(0, 0, width, height).fill(0x1a1a2e);
+
+    if (this.image) {
+      this.container.removeChild(this.image.sprite);
+      this.image.sprite.destroy(true);
+    }
+    this.image = Minimap.createPixelImage(
+      Math.ceil(width / MapView.pixelSize),
+      Math.ceil(height / MapView.pixelSize)
+    );
+    this.image.sprite.scale.set(MapView.pixelSize);
+    this.container.addChildAt(this.image.sprite, 1);
+    this.container.addChild(this.markers);
+
+    this.job = null;
+    this.dirty = true;
+  }
+
+  /**
+   * Pan the map by dragging it with the mouse or a finger
+   */
+  setupDragging() {
+    const canvas = this.game.app.canvas;
+
+    canvas.addEventListener("pointerdown", (e) => {
+      if (!this.visible) return;
+      this.dragStart = { x: e.clientX, y: e.clientY };
+    });
+
+    canvas.addEventListener("pointermove", (e) => {
+      if (!this.visible || !this.dragStart) return;
+      const scale = this.cellsPerPixel / MapView.pixelSize;
+      this.centerX -= (e.clientX - this.dragStart.x) * scale;
+      this.centerY -= (e.clientY - this.dragStart.y) * scale;
+      this.dragStart = { x: e.clientX, y: e.clientY };
+      this.dirty = true;
+    });
+
+    const endDrag = () => {
+      this.dragStart = null;
+    };
+    canvas.addEventListener("pointerup", endDrag);
+    canvas.addEventListener("pointerleave", endDrag);
+  }
+
+  /**
+   * Open the map centered on the camera
+   */
+  open() {
+    const camera = this.game.getCameraPosition();
+    const cellSize = this.game.grid.cellSize;
+    this.centerX = camera.x / cellSize;
+    this.centerY = camera.y / cellSize;
+    this.visible = true;
+    this.container.visible = true;
+    this.dirty = true;
+  }
+
+  /**
+   * Close the map
+   */
+  close() {
+    this.visible = false;
+    this.container.visible = false;
+    this.job = null;
+    this.dragStart = null;
+  }
+
+  /**
+   * Open or close the map
+   * @returns {boolean} Whether the map is now open
+   */
+  toggle() {
+    if (this.visible) {
+      this.close();
+    } else {
+      this.open();
+    }
+    return this.visible;
+  }
+
+  /**
+   * Get the cell shown at a screen point
+   * @param {number} screenX - Screen X coordinate
+   * @param {number} screenY - Screen Y coordinate
+   * @returns {Object} Cell coordinates {x, y} (fractional)
+   */
+  screenToCell(screenX, screenY) {
+    const { width, height } = this.image.source;
+    return {
+      x:
+        this.centerX +
+        (screenX / MapView.pixelSize - width / 2) * this.cellsPerPixel,
+      y:
+        this.centerY +
+        (screenY / MapView.pixelSize - height / 2) * this.cellsPerPixel,
+    };
+  }
+
+  /**
+   * Zoom around a screen point, which keeps showing the same cell
+   * @param {number} screenX - Screen X coordinate
+   * @param {number} screenY - Screen Y coordinate
+   * @param {number} factor - Zoom multiplier (> 1 zooms in)
+   */
+  zoomAt(screenX, screenY, factor) {
+    const before = this.screenToCell(screenX, screenY);
+    this.cellsPerPixel = Math.min(
+      MapView.maxCellsPerPixel,
+      Math.max(MapView.minCellsPerPixel, this.cellsPerPixel / factor)
+    );
+    const after = this.screenToCell(screenX, screenY);
+
+    this.centerX += before.x - after.x;
+    this.centerY += before.y - after.y;
+    this.dirty = true;
+  }
+
+  /**
+   * Render the image again, e.g. after the world changed
+   */
+  refresh() {
+    this.dirty = true;
+  }
+
+  /**
+   * Restart the image after a pan or zoom and continue rendering it
+   */
+  update() {
+    if (!this.visible) return;
+
+    if (this.dirty) {
+      // Rows are replaced in place, so the old image stays until overdrawn
+      this.job = this.worldMap.createJob({
+        centerX: this.centerX,
+        centerY: this.centerY,
+        cellsPerPixel: this.cellsPerPixel,
+        width: this.image.source.width,
+        height: this.image.source.height,
+        pixels: this.image.pixels,
+      });
+      this.dirty = false;
+    }
+
+    if (this.job) {
+      const deadline = performance.now() + MapView.renderBudget;
+      if (this.worldMap.continueJob(this.job, deadline)) {
+        this.job = null;
+      }
+      this.image.source.update();
+    }
+
+    this.drawMarkers();
+  }
+
+  /**
+   * Draw the player and the area currently shown by the camera
+   */
+  drawMarkers() {
+    const markers = this.markers;
+    markers.clear();
+
+    const { width, height } = this.image.source;
+    const job = {
+      centerX: this.centerX,
+      centerY: this.centerY,
+      cellsPerPixel: this.cellsPerPixel,
+      width,
+      height,
+    };
+    const toScreen = (worldX, worldY) => {
+      const point = this.worldMap.worldToPixel(job, worldX, worldY);
+      return {
+        x: point.x * MapView.pixelSize,
+        y: point.y * MapView.pixelSize,
+      };
+    };
+
+    const bounds = this.game.getVisibleBounds();
+    const topLeft = toScreen(bounds.minX, bounds.minY);
+    const bottomRight = toScreen(bounds.maxX, bounds.maxY);
+    markers
+      .rect(
+        topLeft.x,
+        topLeft.y,
+        bottomRight.x - topLeft.x,
+        bottomRight.y - topLeft.y
+      )
+      .stroke({ width: 1, color: 0xffffff, alpha: 0.8 });
+
+    const target = this.game.camera.target;
+    if (target) {
+      const position = target.position || target;
+      const point = toScreen(position.x, position.y);
+      markers
+        .circle(point.x, point.y, 5)
+        .fill(0xffffff)
+        .stroke({ width: 2, color: 0x000000 });
+    }
+  }
+}
@@ -0,0 +1,96 @@
+import * as PIXI from "pixi.js";
+import { TerrainOverlays } from "./TerrainOverlays.js";
+
+/**
+ * Screen-space legend of the current terrain overlay: a title, one color
+ * swatch per entry and optional notes, in the bottom-left corner.
+ */
+export class OverlayLegend {
+  static margin = 10;
+  static padding = 8;
+  static rowHeight = 16;
+  static swatchSize = 12;
+  static textStyle = { fontFamily: "monospace", fontSize: 12, fill: 0xffffff };
+
+  constructor(game) {
+    this.game = game;
+    this.container = new PIXI.Container();
+    this.overlay = null;
+  }
+
+  /**
+   * Rebuild the legend for an overlay
+   * @param {string} name - Overlay name
+   */
+  show(name) {
+    this.overlay = name;
+    this.container.removeChildren().forEach((child) => child.destroy());
+
+    const legend = TerrainOverlays.getLegend(name);
+    const { padding, rowHeight, swatchSize, textStyle } = OverlayLegend;
+    const rows = [];
+
+    const title = new PIXI.Text({
+      text: legend.title,
+      style: { ...textStyle, fontWeight: "bold" },
+    });
+    rows.push(title);
+
+    legend.entries.forEach((entry) => {
+      const row = new PIXI.Container();
+      const { r, g, b } = entry.color;
+      row.addChild(
+        new PIXI.Graphics()
+          .rect(0, 2, swatchSize, swatchSize)
+          .fill((r << 16) | (g << 8) | b)
+          .stroke({ width: 1, color: 0x000000 })
+      );
+      const label = new PIXI.Text({ text: entry.label, style: textStyle });
+      label.x = swatchSize + 6;
+      row.addChild(label);
+      rows.push(row);
+    });
+
+    legend.notes.forEach((note) => {
+      rows.push(
+        new PIXI.Text({
+          text: note,
+          style: { ...textStyle, fill: 0xcccccc },
+        })
+      );
+    });
+
+    let width = 0;
+    rows.forEach((row, index) => {
+      row.x = padding;
+      row.y = padding + index * rowHeight;
+      width = Math.max(width, row.width);
+    });
+
+    const height = padding * 2 + rows.length * rowHeight;
+    const background = new PIXI.Graphics()
+      .rect(0, 0, width + padding * 2, height)
+      .fill({ color: 0x000000, alpha: 0.7 });
+    this.container.addChild(background, ...rows);
+
+    this.height = height;
+    this.layout();
+  }
+
+  /**
+   * Place the legend in the bottom-left corner of the screen
+   */
+  layout() {
+    this.container.x = OverlayLegend.margin;
+    this.container.y =
+      this.game.height - (this.height || 0) - OverlayLegend.margin;
+  }
+
+  /**
+   * Show or hide the legend
+   * @param {boolean} visible - Whether the legend is shown
+   */
+  setVisible(visible) {
+    this.container.visible = visible;
+  }
+}
@@ -1,4 +1,7 @@
-class Player extends Entity {
+import Victor from "victor";
+import { Entity } from "./Entity.js";
+
+export class Player extends Entity {
   constructor(x = 0, y = 0, game = null) {
     super(x, y, game);
 
@@ -15,17 +18,15 @@ class Player extends Entity {
     this.maxSpeed = 800; // Super fast max speed!
     this.friction = 0.9;
 
-    this.createCharacter();
-    // this.character.changeAnimation("idle");
-    this.graphics.destroy();
+    if (this.container) {
+      this.createCharacter();
+      // this.character.changeAnimation("idle");
+      this.graphics.destroy();
+    }
   }
 
   async createCharacter() {
-    const result = await AnimatedCharacter.CreateCharacterFromMegaSpritesheet(
-      "chabon2.png",
-      64,
-      64
-    );
+    const result = await this.game.createCharacter("chabon2.png", 64, 64);
     this.character = result.character;
     this.container.addChild(this.character);
     this.character.anchor.set(0.5, 1);
@@ -99,6 +100,30 @@ class Player extends Entity {
     }
   }
 
+  /**
+   * Get the state needed to recreate the player
+   * @returns {Object} Plain object, safe to store as JSON
+   */
+  serialize() {
+    return {
+      ...super.serialize(),
+      moveSpeed: this.moveSpeed,
+    };
+  }
+
+  /**
+   * Recreate the player from serialize() data
+   * @param {Object} data - Serialized player
+   * @param {World} game - World to add the player to
+   * @returns {Player} The new player
+   */
+  static deserialize(data, game) {
+    const player = new Player(data.position.x, data.position.y, game);
+    player.restoreState(data);
+    player.moveSpeed = data.moveSpeed ?? player.moveSpeed;
+    return player;
+  }
+
   /**
    * Get player-specific debug information
    * @returns {Object} Extended debug information
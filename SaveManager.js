@@ -0,0 +1,275 @@
+import { Entity } from "./Entity.js";
+import { Tree } from "./Tree.js";
+import { Animal } from "./Animal.js";
+import { Player } from "./Player.js";
+
+/**
+ * Saves and loads the state of a World.
+ *
+ * A save does not contain the terrain itself, only what is needed to
+ * generate it again (seed and config) plus what changed since: the diff of
+ * edited cells and harvested or removed trees over their procedural
+ * defaults, and every other entity. Saves are plain JSON-safe objects and
+ * can be kept in localStorage, IndexedDB or files.
+ */
+export class SaveManager {
+  static format = "procedural_map_save";
+  // Bump when the save layout changes and add a migration from the old one
+  static version = 3;
+
+  // version -> function(save) returning the same save at version + 1
+  static migrations = {
+    // Version 2 added the clock and the lights not carried by entities
+    1: (save) => ({ ...save, version: 2, clock: null, lights: [] }),
+    // Version 3 added the weather
+    2: (save) => ({ ...save, version: 3, weather: null }),
+  };
+
+  // Entity classes that can be loaded, by serialized type name
+  static entityTypes = new Map([
+    ["Entity", Entity],
+    ["Tree", Tree],
+    ["Animal", Animal],
+    ["Player", Player],
+  ]);
+
+  static databaseName = "procedural_map";
+  static storeName = "saves";
+
+  constructor(world) {
+    this.world = world;
+    this.storagePrefix = "procedural_map_save:";
+  }
+
+  /**
+   * Make an Entity subclass loadable. It needs serialize() and
+   * static deserialize(data, world).
+   * @param {Function} type - Entity class
+   */
+  static registerEntityType(type) {
+    SaveManager.entityTypes.set(type.name, type);
+  }
+
+  /**
+   * Capture the world state
+   * @returns {Object} Save, safe for JSON.stringify() and structured clone
+   */
+  createSave() {
+    const world = this.world;
+    const camera = world.camera;
+
+    // Trees owned by cells are part of the cell diffs
+    const cellTrees = new Set();
+    Object.values(world.grid.cells).forEach((cell) => {
+      cell.trees.forEach((tree) => cellTrees.add(tree));
+    });
+
+    const entities = [];
+    world.entities.forEach((entity) => {
+      if (!cellTrees.has(entity)) entities.push(entity.serialize());
+    });
+
+    // Lights of entities are saved with them
+    const lights = [];
+    world.lights.forEach(({ entity, ...light }) => {
+      if (!entity) lights.push(light);
+    });
+
+    return {
+      format: SaveManager.format,
+      version: SaveManager.version,
+      savedAt: new Date().toISOString(),
+      world: world.getWorldConfig(),
+      random: world.random.state,
+      clock: world.clock.serialize(),
+      weather: world.weather.serialize(),
+      camera: {
+        x: camera.x,
+        y: camera.y,
+        zoom: camera.zoom,
+        targetId: camera.target ? camera.target.id : null,
+      },
+      cells: world.grid.getCellDiffs(),
+      entities,
+      lights,
+    };
+  }
+
+  /**
+   * Replace the world state with a save. The world is regenerated from
+   * the saved config, so it may use another seed than before.
+   * @param {Object} save - Save from createSave()
+   * @returns {Map} Loaded entities by id
+   */
+  applySave(save) {
+    save = SaveManager.migrate(save);
+    const world = this.world;
+
+    // Restored first: cells and trees take the season from the clock
+    if (save.clock) world.clock.restoreState(save.clock);
+    world.regenerate(save.world);
+    world.grid.setCellDiffs(save.cells);
+
+    const entities = new Map();
+    save.entities.forEach((data) => {
+      const type = SaveManager.entityTypes.get(data.type);
+      if (!type) {
+        console.warn(`Skipping entity of unknown type "${data.type}"`);
+        return;
+      }
+      const entity = type.deserialize(data, world);
+      entities.set(entity.id, entity);
+    });
+
+    save.lights.forEach((light) => world.addLight(light));
+    if (save.weather) world.weather.restoreState(save.weather);
+
+    // Restored last: creating entities draws from the world generator
+    world.random.state = save.random;
+
+    world.camera.setZoom(save.camera.zoom);
+    world.setCameraPosition(save.camera.x, save.camera.y);
+    const target = entities.get(save.camera.targetId);
+    if (target) world.camera.follow(target, true);
+
+    return entities;
+  }
+
+  /**
+   * Check a save and upgrade it to the current version
+   * @param {Object} save - Save of any known version
+   * @returns {Object} Save at SaveManager.version
+   */
+  static migrate(save) {
+    if (!save || save.format !== SaveManager.format) {
+      throw new Error("Not a world save");
+    }
+    if (save.version > SaveManager.version) {
+      throw new Error(
+        `Save version ${save.version} is newer than supported version ${SaveManager.version}`
+      );
+    }
+
+    while (save.version < SaveManager.version) {
+      const migration = SaveManager.migrations[save.version];
+      if (!migration) {
+        throw new Error(`No migration from save version ${save.version}`);
+      }
+      save = migration(save);
+    }
+    return save;
+  }
+
+  /**
+   * Save to localStorage
+   * @param {string} slot - Save slot name
+   */
+  saveToLocalStorage(slot = "default") {
+    localStorage.setItem(
+      this.storagePrefix + slot,
+      JSON.stringify(this.createSave())
+    );
+  }
+
+  /**
+   * Load from localStorage
+   * @param {string} slot - Save slot name
+   * @returns {boolean} Whether a save was found and loaded
+   */
+  loadFromLocalStorage(slot = "default") {
+    const text = localStorage.getItem(this.storagePrefix + slot);
+    if (text === null) return false;
+
+    this.applySave(JSON.parse(text));
+    return true;
+  }
+
+  /**
+   * Save to IndexedDB, which allows much larger saves than localStorage
+   * @param {string} slot - Save slot name
+   * @returns {Promise} Resolves once the save is stored
+   */
+  async saveToIndexedDB(slot = "default") {
+    const save = this.createSave();
+    const database = await SaveManager.openDatabase();
+    try {
+      const store = database
+        .transaction(SaveManager.storeName, "readwrite")
+        .objectStore(SaveManager.storeName);
+      await SaveManager.request(store.put(save, slot));
+    } finally {
+      database.close();
+    }
+  }
+
+  /**
+   * Load from IndexedDB
+   * @param {string} slot - Save slot name
+   * @returns {Promise<boolean>} Whether a save was found and loaded
+   */
+  async loadFromIndexedDB(slot = "default") {
+    const database = await SaveManager.openDatabase();
+    let save;
+    try {
+      const store = database
+        .transaction(SaveManager.storeName, "readonly")
+        .objectStore(SaveManager.storeName);
+      save = await SaveManager.request(store.get(slot));
+    } finally {
+      database.close();
+    }
+
+    if (save === undefined) return false;
+    this.applySave(save);
+    return true;
+  }
+
+  /**
+   * Open (and create on first use) the saves database
+   * @returns {Promise<IDBDatabase>}
+   */
+  static openDatabase() {
+    const request = indexedDB.open(SaveManager.databaseName, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(SaveManager.storeName);
+    };
+    return SaveManager.request(request);
+  }
+
+  /**
+   * Wrap an IndexedDB request in a promise
+   * @param {IDBRequest} request - The request
+   * @returns {Promise} Resolves with the request result
+   */
+  static request(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Let the browser download the save as a JSON file
+   * @param {string} filename - Suggested file name
+   */
+  downloadSave(filename = `world_${this.world.seed}.json`) {
+    const blob = new Blob([JSON.stringify(this.createSave())], {
+      type: "application/json",
+    });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Load a save file, e.g. from a file input or a drop event
+   * @param {Blob} file - The JSON file
+   * @returns {Promise<Map>} Loaded entities by id
+   */
+  async loadFromFile(file) {
+    return this.applySave(JSON.parse(await file.text()));
+  }
+}
@@ -0,0 +1,127 @@
+import { Biomes } from "./Biomes.js";
+import { Colors } from "./Colors.js";
+
+/**
+ * Data-driven seasons. The year is split into four seasons of the same
+ * number of days (see WorldClock). Temperature follows a smooth yearly
+ * curve on top of each cell's climate, and each season tints the land and
+ * sets how active animals are and how often they have offspring.
+ */
+export class Seasons {
+  static names = ["spring", "summer", "autumn", "winter"];
+
+  static table = {
+    spring: {
+      tint: { r: 0.95, g: 1.06, b: 0.95 },
+      animalActivity: 1,
+      reproduction: 2,
+    },
+    summer: {
+      tint: { r: 1.04, g: 1, b: 0.9 },
+      animalActivity: 1,
+      reproduction: 1,
+    },
+    autumn: {
+      tint: { r: 1.12, g: 0.92, b: 0.7 },
+      animalActivity: 0.8,
+      reproduction: 0.3,
+    },
+    winter: {
+      tint: { r: 0.92, g: 0.95, b: 1.05 },
+      animalActivity: 0.5,
+      reproduction: 0,
+    },
+  };
+
+  // Temperature change from the climate at mid-summer (+) and mid-winter (-)
+  static temperatureSwing = 0.12;
+  // Time of year (0-1) of mid-summer, the warmest day
+  static warmest = 0.375;
+
+  // Water at least this high (shallow) freezes below freezingTemperature
+  static shallowWater = 0.3;
+  static freezingTemperature = 0.25;
+  static iceColor = { r: 200, g: 225, b: 240 };
+
+  // Land below snowTemperature is covered by snow
+  static snowTemperature = 0.22;
+  static snowColor = { r: 245, g: 248, b: 255 };
+  static snowCover = 0.75; // How much of the land color the snow hides
+
+  /**
+   * Get a season definition
+   * @param {string} name - Season name
+   * @returns {Object} Season definition
+   */
+  static get(name) {
+    return Seasons.table[name];
+  }
+
+  /**
+   * Get the temperature change of a time of year
+   * @param {number} yearProgress - Time of year (0-1, 0 is the first day
+   *   of spring)
+   * @returns {number} Offset added to cell temperatures
+   */
+  static getTemperatureOffset(yearProgress) {
+    return (
+      Seasons.temperatureSwing *
+      Math.cos((yearProgress - Seasons.warmest) * Math.PI * 2)
+    );
+  }
+
+  /**
+   * Tint a land color with a season's tint
+   * @param {Object} color - Object with r, g, b properties (0-255)
+   * @param {string} season - Season name
+   * @returns {Object} Object with r, g, b properties (0-255)
+   */
+  static applyTint(color, season) {
+    const { tint } = Seasons.get(season);
+    const channel = (value, factor) =>
+      Math.min(255, Math.floor(value * factor));
+    return {
+      r: channel(color.r, tint.r),
+      g: channel(color.g, tint.g),
+      b: channel(color.b, tint.b),
+    };
+  }
+
+  /**
+   * Whether water at a height freezes at a temperature
+   * @param {number} height - Height value (0-1)
+   * @param {number} temperature - Temperature with the season applied (0-1)
+   * @returns {boolean} Whether the water is ice
+   */
+  static freezes(height, temperature) {
+    return (
+      height >= Seasons.shallowWater &&
+      temperature < Seasons.freezingTemperature
+    );
+  }
+
+  /**
+   * Get the color of a biome in a season: shaded by height, then frozen
+   * (water) or tinted by the season and snowed over when cold (land).
+   * Loaded cells and cells the maps only sample both use it, so they look
+   * the same.
+   * @param {Object} biome - Biome definition
+   * @param {number} height - Height value (0-1)
+   * @param {number} temperature - Temperature with the season applied (0-1)
+   * @param {string} season - Season name
+   * @returns {Object} Object with r, g, b properties (0-255)
+   */
+  static getColor(biome, height, temperature, season) {
+    const color = Biomes.getColor(biome, height);
+    if (biome.name === "water") {
+      return Seasons.freezes(height, temperature)
+        ? { ...Seasons.iceColor }
+        : color;
+    }
+
+    const tinted = Seasons.applyTint(color, season);
+    return temperature < Seasons.snowTemperature
+      ? Colors.mix(tinted, Seasons.snowColor, Seasons.snowCover)
+      : tinted;
+  }
+}
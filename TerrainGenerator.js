@@ -0,0 +1,486 @@
+import { SeededRandom } from "./seededRandom.js";
+import { PerlinNoise } from "./perlinNoise.js";
+import { SimplexNoise } from "./simplexNoise.js";
+import { Biomes } from "./Biomes.js";
+import { Hydrology } from "./Hydrology.js";
+import { Erosion } from "./Erosion.js";
+
+/**
+ * Terrain generation without any PIXI/DOM/Victor dependency, so it can run
+ * both on the main thread and inside terrainWorker.js.
+ */
+export class TerrainGenerator {
+  // Default noise recipe for each terrain layer. Every Cell property reads
+  // its value through sampleNoise() using the recipe of its own layer.
+  // A layer's seed is mixed with the world seed, so layers stay independent.
+  // "warp" displaces a layer's lookups by up to that many cells using the
+  // warp layer, which bends straight noise features into organic shapes.
+  static defaultNoiseConfig = {
+    soilFertility: {
+      generator: "perlin", // "perlin" or "simplex"
+      frequency: 0.11,
+      type: "fbm", // "fbm", "ridged", "billow" or "single"
+      octaves: 3,
+      lacunarity: 2,
+      persistence: 0.5,
+      seed: 123,
+      warp: 8,
+    },
+    height: {
+      generator: "perlin",
+      frequency: 0.131,
+      type: "fbm",
+      octaves: 4,
+      lacunarity: 2,
+      persistence: 0.5,
+      seed: 456,
+      warp: 6,
+    },
+    temperature: {
+      generator: "perlin",
+      frequency: 0.012,
+      type: "fbm",
+      octaves: 2,
+      lacunarity: 2,
+      persistence: 0.5,
+      seed: 789,
+      warp: 30,
+      // Climate model: the noise above only perturbs a latitude gradient
+      // (warmest at world Y = equatorY, coldest polarDistance cells away)
+      // cooled with altitude by lapseRate per unit of height above the sea
+      equatorY: -300,
+      polarDistance: 800,
+      equatorTemperature: 0.85,
+      poleTemperature: 0.05,
+      lapseRate: 1,
+      seaLevel: 0.4,
+      noiseStrength: 0.3,
+    },
+    moisture: {
+      generator: "simplex",
+      frequency: 0.03,
+      type: "fbm",
+      octaves: 3,
+      lacunarity: 2,
+      persistence: 0.5,
+      seed: 321,
+    },
+    // Large-scale landmass shape; "strength" is its share of the height
+    continent: {
+      generator: "perlin",
+      frequency: 0.004,
+      type: "fbm",
+      octaves: 3,
+      lacunarity: 2,
+      persistence: 0.5,
+      seed: 654,
+      warp: 40,
+      strength: 0.4,
+    },
+    // Mountain ranges raised inland; "strength" scales their height
+    mountains: {
+      generator: "perlin",
+      frequency: 0.01,
+      type: "ridged",
+      octaves: 4,
+      lacunarity: 2,
+      persistence: 0.5,
+      seed: 987,
+      warp: 20,
+      strength: 0.4,
+    },
+    // Displacement field used by the other layers' "warp" option
+    warp: {
+      generator: "simplex",
+      frequency: 0.008,
+      type: "fbm",
+      octaves: 2,
+      lacunarity: 2,
+      persistence: 0.5,
+      seed: 147,
+    },
+  };
+
+  // The warp layer is sampled this many cells apart for the X and Y offsets
+  static warpOffset = 1000;
+
+  // Noise implementations that a layer can pick with its "generator" option
+  static noiseGenerators = {
+    perlin: PerlinNoise,
+    simplex: SimplexNoise,
+  };
+
+  // Cells within this many cells contribute to a cell's flow direction
+  static flowRadius = 3;
+
+  /**
+   * @param {number|string} seed - World seed
+   * @param {Object} noiseConfig - Per-layer overrides of defaultNoiseConfig
+   * @param {Object} options - {worldBounds: {minX, minY, maxX, maxY} in cells
+   *   for island maps (height falls to sea outside), falloff: width in cells
+   *   of the coast ramp inside the bounds}
+   */
+  constructor(seed = 0, noiseConfig = {}, options = {}) {
+    this.seed = seed;
+    this.options = {
+      worldBounds: options.worldBounds || null,
+      falloff: options.falloff ?? 32,
+    };
+
+    // Per-layer noise recipes (a plain number is treated as a frequency)
+    this.noiseConfig = {};
+    const layers = new Set([
+      ...Object.keys(TerrainGenerator.defaultNoiseConfig),
+      ...Object.keys(noiseConfig),
+    ]);
+    for (const layer of layers) {
+      const override =
+        typeof noiseConfig[layer] === "number"
+          ? { frequency: noiseConfig[layer] }
+          : noiseConfig[layer];
+      this.noiseConfig[layer] = {
+        ...TerrainGenerator.defaultNoiseConfig[layer],
+        ...override,
+      };
+    }
+
+    // Create one noise generator per layer
+    this.noiseGenerators = {};
+    for (const [layer, config] of Object.entries(this.noiseConfig)) {
+      const NoiseClass =
+        TerrainGenerator.noiseGenerators[config.generator] ||
+        TerrainGenerator.noiseGenerators.perlin;
+      this.noiseGenerators[layer] = new NoiseClass(
+        SeededRandom.hash(this.seed, config.seed)
+      );
+    }
+
+    // Erosion of the height layer, then rivers and lakes traced over it
+    this.erosion = new Erosion(this);
+    this.hydrology = new Hydrology(this);
+  }
+
+  /**
+   * Sample a noise layer at cell coordinates using that layer's recipe
+   * @param {string} layer - Layer name ("height", "soilFertility", "temperature", ...)
+   * @param {number} cellX - Cell X coordinate
+   * @param {number} cellY - Cell Y coordinate
+   * @param {number} z - Optional third coordinate (e.g. time) to animate the field
+   * @returns {number} Noise value in the 0-1 range
+   */
+  sampleNoise(layer, cellX, cellY, z) {
+    const config = this.noiseConfig[layer];
+    const generator = this.noiseGenerators[layer];
+    if (!config || !generator) {
+      console.warn(`Unknown noise layer: ${layer}`);
+      return 0;
+    }
+
+    // Domain warping: look the layer up at a displaced position
+    if (config.warp) {
+      const warp = this.getWarp(cellX, cellY);
+      cellX += warp.x * config.warp;
+      cellY += warp.y * config.warp;
+    }
+
+    const x = cellX * config.frequency;
+    const y = cellY * config.frequency;
+
+    const options = z === undefined ? config : { ...config, z };
+
+    switch (config.type) {
+      case "single":
+        return generator.noise(x, y, z);
+      case "ridged":
+        return generator.ridged(x, y, options);
+      case "billow":
+        return generator.billow(x, y, options);
+      default:
+        return generator.fbm(x, y, options);
+    }
+  }
+
+  /**
+   * Get the domain warp direction at a cell. Layers sampled at the same
+   * cell one after the other (as in sampleRawHeight) share one lookup.
+   * @param {number} cellX - Cell X coordinate
+   * @param {number} cellY - Cell Y coordinate
+   * @returns {Object} {x, y} displacement, each in the -1 to 1 range
+   */
+  getWarp(cellX, cellY) {
+    const last = this.lastWarp;
+    if (last && last.cellX === cellX && last.cellY === cellY) return last;
+
+    const offset = TerrainGenerator.warpOffset;
+    this.lastWarp = {
+      cellX,
+      cellY,
+      x: this.sampleNoise("warp", cellX, cellY) * 2 - 1,
+      y: this.sampleNoise("warp", cellX + offset, cellY + offset) * 2 - 1,
+    };
+    return this.lastWarp;
+  }
+
+  /**
+   * Compose the height of a cell before erosion: local detail blended with
+   * the continent layer, mountain ranges raised on land, and the island
+   * falloff towards the world bounds
+   * @param {number} cellX - Cell X coordinate
+   * @param {number} cellY - Cell Y coordinate
+   * @returns {number} Height in the 0-1 range
+   */
+  sampleRawHeight(cellX, cellY) {
+    const detail = this.sampleNoise("height", cellX, cellY);
+    // fbm rarely leaves the middle of its range, so stretch it to 0-1
+    const continent = TerrainGenerator.smoothstep(
+      0.3,
+      0.7,
+      this.sampleNoise("continent", cellX, cellY)
+    );
+    // Oceans pull the height down, continents push it up
+    let height = Math.min(
+      1,
+      Math.max(
+        0,
+        detail + (continent - 0.5) * this.noiseConfig.continent.strength
+      )
+    );
+
+    // Mountains only rise well inside the continents
+    const land = TerrainGenerator.smoothstep(0.6, 0.9, continent);
+    if (land > 0) {
+      const ridges = this.sampleNoise("mountains", cellX, cellY);
+      height +=
+        ridges * this.noiseConfig.mountains.strength * land * (1 - height);
+    }
+
+    return height * this.getFalloff(cellX, cellY);
+  }
+
+  /**
+   * Island falloff: 1 well inside the world bounds, easing to 0 at the edges
+   * @param {number} cellX - Cell X coordinate
+   * @param {number} cellY - Cell Y coordinate
+   * @returns {number} Height multiplier (always 1 without world bounds)
+   */
+  getFalloff(cellX, cellY) {
+    const bounds = this.options.worldBounds;
+    if (!bounds) return 1;
+
+    const distanceToEdge = Math.min(
+      cellX - bounds.minX,
+      bounds.maxX - cellX,
+      cellY - bounds.minY,
+      bounds.maxY - cellY
+    );
+    return TerrainGenerator.smoothstep(0, this.options.falloff, distanceToEdge);
+  }
+
+  /**
+   * Hermite interpolation between two edges
+   * @param {number} edge0 - Value mapped to 0
+   * @param {number} edge1 - Value mapped to 1
+   * @param {number} value - Input value
+   * @returns {number} Smoothed value in the 0-1 range
+   */
+  static smoothstep(edge0, edge1, value) {
+    const t = Math.min(1, Math.max(0, (value - edge0) / (edge1 - edge0)));
+    return t * t * (3 - 2 * t);
+  }
+
+  /**
+   * Get the temperature of a cell from its latitude and altitude, perturbed
+   * by the temperature noise layer
+   * @param {number} cellX - Cell X coordinate
+   * @param {number} cellY - Cell Y coordinate
+   * @param {number} height - Final height of the cell (0-1)
+   * @returns {number} Temperature in the 0-1 range
+   */
+  sampleTemperature(cellX, cellY, height) {
+    const config = this.noiseConfig.temperature;
+
+    const latitude = Math.min(
+      1,
+      Math.abs(cellY - config.equatorY) / config.polarDistance
+    );
+    let temperature =
+      config.equatorTemperature +
+      (config.poleTemperature - config.equatorTemperature) * latitude;
+
+    temperature -= Math.max(0, height - config.seaLevel) * config.lapseRate;
+
+    const noise = this.sampleNoise("temperature", cellX, cellY);
+    temperature += (noise - 0.5) * 2 * config.noiseStrength;
+
+    return Math.min(1, Math.max(0, temperature));
+  }
+
+  /**
+   * Get the final (eroded) height of a cell. Everything built on terrain
+   * height reads it through here rather than from the raw noise layer.
+   * @param {number} cellX - Cell X coordinate
+   * @param {number} cellY - Cell Y coordinate
+   * @returns {number} Height in the 0-1 range
+   */
+  sampleHeight(cellX, cellY) {
+    return this.erosion.sampleHeight(cellX, cellY);
+  }
+
+  /**
+   * Sample all terrain properties of a single cell
+   * @param {number} cellX - Cell X coordinate
+   * @param {number} cellY - Cell Y coordinate
+   * @returns {Object} {height, soilFertility, temperature, moisture, biome,
+   *   flowAccumulation, riverDirection, lake}
+   */
+  sampleCell(cellX, cellY) {
+    const height = this.sampleHeight(cellX, cellY);
+    const soilFertility = this.sampleNoise("soilFertility", cellX, cellY);
+    const temperature = this.sampleTemperature(cellX, cellY, height);
+    const moisture = this.sampleNoise("moisture", cellX, cellY);
+    const water = this.hydrology.sampleCell(cellX, cellY);
+
+    return {
+      height,
+      soilFertility,
+      temperature,
+      moisture,
+      biome: water.lake
+        ? Biomes.getIndex("water")
+        : Biomes.classify(height, temperature, moisture),
+      flowAccumulation: water.flowAccumulation,
+      riverDirection: water.riverDirection,
+      lake: water.lake,
+    };
+  }
+
+  /**
+   * Cheap approximation of a cell for maps of areas that were never
+   * generated: no erosion and no rivers, just the noise layers
+   * @param {number} cellX - Cell X coordinate
+   * @param {number} cellY - Cell Y coordinate
+   * @returns {Object} {height, temperature, moisture, biome}
+   */
+  sampleOverview(cellX, cellY) {
+    const height = this.sampleRawHeight(cellX, cellY);
+    const temperature = this.sampleTemperature(cellX, cellY, height);
+    const moisture = this.sampleNoise("moisture", cellX, cellY);
+
+    return {
+      height,
+      temperature,
+      moisture,
+      biome: Biomes.classify(height, temperature, moisture),
+    };
+  }
+
+  /**
+   * Generate the terrain of a whole chunk as typed arrays.
+   * Heights are sampled with a border so flow directions at the chunk edges
+   * see the same neighbours as cells in the middle.
+   * @param {number} chunkX - Chunk X coordinate
+   * @param {number} chunkY - Chunk Y coordinate
+   * @param {number} size - Chunk size in cells
+   * @returns {Object} Chunk data with one entry per cell (index = y * size + x)
+   */
+  generateChunkData(chunkX, chunkY, size) {
+    const radius = TerrainGenerator.flowRadius;
+    const padded = size + radius * 2;
+    const originX = chunkX * size;
+    const originY = chunkY * size;
+
+    const paddedHeight = new Float64Array(padded * padded);
+    for (let py = 0; py < padded; py++) {
+      for (let px = 0; px < padded; px++) {
+        paddedHeight[py * padded + px] = this.sampleHeight(
+          originX + px - radius,
+          originY + py - radius
+        );
+      }
+    }
+
+    const count = size * size;
+    // Float64 so cells built from chunk data match cells sampled one by one
+    const height = new Float64Array(count);
+    const soilFertility = new Float64Array(count);
+    const temperature = new Float64Array(count);
+    const moisture = new Float64Array(count);
+    const biome = new Uint8Array(count);
+    const flowX = new Float32Array(count);
+    const flowY = new Float32Array(count);
+    const { flowAccumulation, riverDirection, lake } =
+      this.hydrology.traceRegion(originX, originY, size, size);
+    const lakeBiome = Biomes.getIndex("water");
+
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        const index = y * size + x;
+        const cellX = originX + x;
+        const cellY = originY + y;
+        const h = paddedHeight[(y + radius) * padded + (x + radius)];
+
+        height[index] = h;
+        soilFertility[index] = this.sampleNoise("soilFertility", cellX, cellY);
+        temperature[index] = this.sampleTemperature(cellX, cellY, h);
+        moisture[index] = this.sampleNoise("moisture", cellX, cellY);
+        biome[index] = lake[index]
+          ? lakeBiome
+          : Biomes.classify(h, temperature[index], moisture[index]);
+
+        // Sum of directions to every neighbour weighted by the height drop
+        let fx = 0;
+        let fy = 0;
+        for (let dy = -radius; dy <= radius; dy++) {
+          for (let dx = -radius; dx <= radius; dx++) {
+            if (dx === 0 && dy === 0) continue;
+            const neighborHeight =
+              paddedHeight[(y + radius + dy) * padded + (x + radius + dx)];
+            const length = Math.sqrt(dx * dx + dy * dy);
+            fx += (dx / length) * (h - neighborHeight);
+            fy += (dy / length) * (h - neighborHeight);
+          }
+        }
+
+        const magnitude = Math.sqrt(fx * fx + fy * fy);
+        flowX[index] = magnitude > 0 ? fx / magnitude : 0;
+        flowY[index] = magnitude > 0 ? fy / magnitude : 0;
+      }
+    }
+
+    return {
+      chunkX,
+      chunkY,
+      size,
+      height,
+      soilFertility,
+      temperature,
+      moisture,
+      biome,
+      flowX,
+      flowY,
+      flowAccumulation,
+      riverDirection,
+      lake,
+    };
+  }
+
+  /**
+   * Get the typed arrays of chunk data, e.g. to transfer them to another thread
+   * @param {Object} data - Chunk data from generateChunkData()
+   * @returns {Array} Array of ArrayBuffers
+   */
+  static getTransferables(data) {
+    return [
+      data.height.buffer,
+      data.soilFertility.buffer,
+      data.temperature.buffer,
+      data.moisture.buffer,
+      data.biome.buffer,
+      data.flowX.buffer,
+      data.flowY.buffer,
+      data.flowAccumulation.buffer,
+      data.riverDirection.buffer,
+      data.lake.buffer,
+    ];
+  }
+}
@@ -0,0 +1,169 @@
+import { Biomes } from "./Biomes.js";
+import { Colors } from "./Colors.js";
+
+/**
+ * Data-driven debug views of the terrain. The first overlay is the normal
+ * biome view; the others color every cell from a single property through a
+ * color ramp, so one layer can be read at a time. Each overlay can describe
+ * itself with a legend.
+ */
+export class TerrainOverlays {
+  // Entity counts at or above this use the hottest density color
+  static maxEntitiesPerCell = 4;
+
+  static table = [
+    {
+      name: "biome",
+      label: "Biome",
+      rivers: true,
+    },
+    {
+      name: "height",
+      label: "Height",
+      value: (cell) => cell.height,
+      ramp: [
+        [0, { r: 10, g: 30, b: 90 }],
+        [0.4, { r: 60, g: 140, b: 220 }],
+        [0.41, { r: 40, g: 120, b: 40 }],
+        [0.7, { r: 150, g: 120, b: 70 }],
+        [1, { r: 255, g: 255, b: 255 }],
+      ],
+      range: ["deep water", "peaks"],
+    },
+    {
+      name: "temperature",
+      label: "Temperature",
+      value: (cell) => cell.getTemperature(),
+      ramp: [
+        [0, { r: 40, g: 60, b: 220 }],
+        [0.5, { r: 240, g: 240, b: 240 }],
+        [1, { r: 220, g: 40, b: 30 }],
+      ],
+      range: ["cold", "hot"],
+    },
+    {
+      name: "soilFertility",
+      label: "Soil fertility",
+      value: (cell) => cell.soilFertility,
+      ramp: [
+        [0, { r: 120, g: 80, b: 40 }],
+        [0.5, { r: 200, g: 190, b: 90 }],
+        [1, { r: 20, g: 150, b: 40 }],
+      ],
+      range: ["poor", "fertile"],
+    },
+    {
+      name: "moisture",
+      label: "Moisture",
+      value: (cell) => cell.getMoisture(),
+      ramp: [
+        [0, { r: 220, g: 190, b: 120 }],
+        [0.5, { r: 120, g: 200, b: 160 }],
+        [1, { r: 20, g: 60, b: 200 }],
+      ],
+      range: ["dry", "wet"],
+      // Rain and snow wet the soil, which dries over time
+      live: true,
+    },
+    {
+      name: "flow",
+      label: "Flow direction",
+      value: (cell) => cell.height,
+      ramp: [
+        [0, { r: 20, g: 20, b: 20 }],
+        [1, { r: 235, g: 235, b: 235 }],
+      ],
+      range: ["low", "high"],
+      rivers: true,
+      flowArrows: true,
+      notes: ["Arrows point downhill", "Blue lines are rivers"],
+    },
+    {
+      name: "entityDensity",
+      label: "Entity density",
+      value: (cell) =>
+        Math.min(1, cell.getEntityCount() / TerrainOverlays.maxEntitiesPerCell),
+      ramp: [
+        [0, { r: 20, g: 20, b: 40 }],
+        [0.25, { r: 80, g: 40, b: 140 }],
+        [0.6, { r: 230, g: 90, b: 40 }],
+        [1, { r: 255, g: 240, b: 80 }],
+      ],
+      format: (t) => {
+        const count = Math.round(t * TerrainOverlays.maxEntitiesPerCell);
+        return t >= 1 ? `${count}+ entities` : `${count} entities`;
+      },
+      // Entities move without changing the terrain, so redraw regularly
+      live: true,
+    },
+  ];
+
+  /**
+   * Get an overlay definition by name
+   * @param {string} name - Overlay name
+   * @returns {Object} Overlay definition (the biome view if unknown)
+   */
+  static get(name) {
+    return (
+      TerrainOverlays.table.find((overlay) => overlay.name === name) ||
+      TerrainOverlays.table[0]
+    );
+  }
+
+  /**
+   * Get the name of the overlay after another one, wrapping around
+   * @param {string} name - Current overlay name
+   * @returns {string} Next overlay name
+   */
+  static next(name) {
+    const table = TerrainOverlays.table;
+    const index = table.indexOf(TerrainOverlays.get(name));
+    return table[(index + 1) % table.length].name;
+  }
+
+  /**
+   * Get the color of a cell in an overlay
+   * @param {string} name - Overlay name
+   * @param {Cell} cell - The cell
+   * @returns {Object} Object with r, g, b properties (0-255)
+   */
+  static getColor(name, cell) {
+    const overlay = TerrainOverlays.get(name);
+    if (!overlay.ramp) return cell.getColor();
+
+    return Colors.sampleRamp(overlay.ramp, overlay.value(cell));
+  }
+
+  /**
+   * Get the legend of an overlay
+   * @param {string} name - Overlay name
+   * @returns {Object} {title, entries: [{color, label}], notes: [string]}
+   */
+  static getLegend(name) {
+    const overlay = TerrainOverlays.get(name);
+    let entries;
+
+    if (!overlay.ramp) {
+      entries = Biomes.table.map((biome) => ({
+        color: biome.color,
+        label: biome.name,
+      }));
+    } else {
+      const steps = 5;
+      entries = [];
+      for (let i = 0; i < steps; i++) {
+        const t = i / (steps - 1);
+        let label = overlay.format ? overlay.format(t) : t.toFixed(2);
+        if (overlay.range && i === 0) label += ` (${overlay.range[0]})`;
+        if (overlay.range && i === steps - 1) label += ` (${overlay.range[1]})`;
+
+        entries.push({
+          color: Colors.sampleRamp(overlay.ramp, t),
+          label,
+        });
+      }
+    }
+
+    return { title: overlay.label, entries, notes: overlay.notes || [] };
+  }
+}
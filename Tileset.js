@@ -0,0 +1,191 @@
+import * as PIXI from "pixi.js";
+import { Biomes } from "./Biomes.js";
+import { Autotiler } from "./Autotiler.js";
+import { SeededRandom } from "./seededRandom.js";
+
+/**
+ * Terrain tile textures for the autotiled renderer, one set per biome:
+ * base tile variants and transition tiles for the 15 corner masks (see
+ * Autotiler). A biome can use an image atlas; every biome or tile without
+ * one gets generated tiles, which are white and tinted with the cell color.
+ */
+export class Tileset {
+  // Biome name -> image atlas. For example:
+  // "grassland": {
+  //   url: "tiles/grassland.png",
+  //   tileSize: 32,
+  //   variants: [[0, 0], [1, 0], [2, 0]], // [column, row] of base tiles
+  //   transitions: { 1: [0, 1], 2: [1, 1], ... }, // mask -> [column, row]
+  //   tint: false, // Tint with the cell color (for grayscale art)
+  // }
+  static atlases = {};
+
+  // Side in pixels of generated tiles
+  static tileSize = 32;
+  // Number of generated base tile variants per biome
+  static generatedVariants = 4;
+
+  constructor() {
+    // biome name -> {base: [Texture], transitions: [Texture] by mask, tint}
+    this.biomes = new Map();
+    // Generated textures, which are white and always tinted
+    this.generated = new Set();
+    this.ready = false;
+  }
+
+  /**
+   * Load the configured atlases and generate the missing tiles
+   * @returns {Promise} Resolves once every biome has tiles
+   */
+  async load() {
+    const generated = this.generateTiles();
+
+    for (const biome of Biomes.table) {
+      const atlas = Tileset.atlases[biome.name];
+      let entry = null;
+
+      if (atlas) {
+        try {
+          entry = await Tileset.loadAtlas(atlas);
+        } catch (error) {
+          console.warn(`Failed to load tiles of ${biome.name}:`, error);
+        }
+      }
+
+      if (!entry) {
+        entry = {
+          base: generated.base.get(biome.name),
+          transitions: [],
+          tint: true,
+        };
+      }
+      // Masks the atlas does not cover use the generated shapes
+      for (let mask = 1; mask < 16; mask++) {
+        if (!entry.transitions[mask]) {
+          entry.transitions[mask] = generated.transitions[mask];
+        }
+      }
+
+      this.biomes.set(biome.name, entry);
+    }
+
+    this.ready = true;
+  }
+
+  /**
+   * Cut the tiles of an image atlas
+   * @param {Object} atlas - Atlas definition (see Tileset.atlases)
+   * @returns {Promise<Object>} {base, transitions, tint}
+   */
+  static async loadAtlas(atlas) {
+    const texture = await PIXI.Assets.load(atlas.url);
+    const size = atlas.tileSize;
+    const tile = ([column, row]) =>
+      new PIXI.Texture({
+        source: texture.source,
+        frame: new PIXI.Rectangle(column * size, row * size, size, size),
+      });
+
+    const transitions = [];
+    Object.entries(atlas.transitions || {}).forEach(([mask, position]) => {
+      transitions[Number(mask)] = tile(position);
+    });
+
+    return {
+      base: atlas.variants.map(tile),
+      transitions,
+      tint: Boolean(atlas.tint),
+    };
+  }
+
+  /**
+   * Generate the default tiles: speckled base variants for each biome and
+   * one transition shape per mask, shared by every biome
+   * @returns {Object} {base: Map of biome name -> [Texture], transitions}
+   */
+  generateTiles() {
+    const size = Tileset.tileSize;
+    const texture = (pixels) => {
+      const tile = new PIXI.Texture({
+        source: new PIXI.BufferImageSource({
+          resource: pixels,
+          width: size,
+          height: size,
+          format: "rgba8unorm",
+        }),
+      });
+      this.generated.add(tile);
+      return tile;
+    };
+
+    const base = new Map();
+    Biomes.table.forEach((biome, index) => {
+      const variants = [];
+      for (let variant = 0; variant < Tileset.generatedVariants; variant++) {
+        const random = new SeededRandom(SeededRandom.hash(index, variant));
+        variants.push(texture(Autotiler.createBasePixels(size, random)));
+      }
+      base.set(biome.name, variants);
+    });
+
+    const transitions = [null];
+    for (let mask = 1; mask < 16; mask++) {
+      transitions.push(texture(Autotiler.createTransitionPixels(mask, size)));
+    }
+
+    return { base, transitions };
+  }
+
+  /**
+   * Get the base tile of a cell
+   * @param {Cell} cell - The cell
+   * @param {number|string} seed - World seed, to pick the variant
+   * @returns {PIXI.Texture} Tile texture
+   */
+  getBase(cell, seed) {
+    const base = this.biomes.get(cell.biome.name).base;
+    return base[Autotiler.getVariant(seed, cell, base.length)];
+  }
+
+  /**
+   * Get the transition tile of a biome for a corner mask
+   * @param {Object} biome - Biome definition
+   * @param {number} mask - Corner mask (1-15)
+   * @returns {PIXI.Texture} Tile texture
+   */
+  getTransition(biome, mask) {
+    return this.biomes.get(biome.name).transitions[mask];
+  }
+
+  /**
+   * Get the tint of one of a biome's tiles. Generated tiles and tinted
+   * atlases take the color of the color renderer, so both modes match;
+   * other atlas tiles keep their own colors.
+   * @param {Object} biome - Biome definition
+   * @param {Object} color - Color of the biome on the cell (see
+   *   Cell.getBiomeColor()), with r, g, b properties (0-255)
+   * @param {PIXI.Texture} texture - The tile
+   * @returns {number} Hex color
+   */
+  getTint(biome, color, texture) {
+    const entry = this.biomes.get(biome.name);
+    if (!entry.tint && !this.generated.has(texture)) return 0xffffff;
+
+    return (color.r << 16) | (color.g << 8) | color.b;
+  }
+
+  /**
+   * Destroy every tile texture. Atlas images stay in the PIXI.Assets cache.
+   */
+  destroy() {
+    this.biomes.forEach((entry) => {
+      [...entry.base, ...entry.transitions].forEach((texture) => {
+        if (texture && !this.generated.has(texture)) texture.destroy(false);
+      });
+    });
+    this.generated.forEach((texture) => texture.destroy(true));
+    this.biomes.clear();
+    this.generated.clear();
+    this.ready = false;
+  }
+}
@@ -1,6 +1,22 @@
-class Tree extends Entity {
+import { Entity } from "./Entity.js";
+
+export class Tree extends Entity {
   static types = ["oak", "pine", "birch", "palm", "maple"];
 
+  // Health regained per hour of full daylight after being harvested
+  static regrowthRate = 5;
+
+  // Looks by tree type and season (others keep the plain sprite): a tint,
+  // snow on the crown, or bare branches after the leaves fell
+  static seasonLooks = {
+    oak: { autumn: { tint: 0xd9a040 }, winter: { bare: true } },
+    birch: { autumn: { tint: 0xf0d040 }, winter: { bare: true } },
+    maple: { autumn: { tint: 0xff7033 }, winter: { bare: true } },
+    pine: { winter: { snow: true } },
+  };
+  static bareTint = 0x8c7b6b;
+  static snowColor = 0xf4f8ff;
+
   constructor(x = 0, y = 0, game = null, type = null) {
     super(x, y, game);
 
@@ -11,9 +27,12 @@ class Tree extends Entity {
     this.treeType = type || this.generateTreeType();
     this.health = 100; // Full health
     this.maxHealth = 100;
+    this.season = this.game.clock.season;
 
     // Set tree appearance based on type using images
     this.setupTreeAppearance();
+
+    this.game.trees.add(this);
   }
 
   /**
@@ -21,13 +40,15 @@ class Tree extends Entity {
    * @returns {string} Tree type
    */
   generateTreeType() {
-    return Tree.types[Math.floor(Math.random() * Tree.types.length)];
+    return this.game.random.pick(Tree.types);
   }
 
   /**
    * Setup the visual appearance of the tree based on its type using images
    */
   setupTreeAppearance() {
+    if (!this.container) return;
+
     // Clear any existing graphics
     this.graphics.clear();
 
@@ -49,7 +70,7 @@ class Tree extends Entity {
     const assetAlias = treeImageMap[this.treeType] || "tree1";
 
     // Create sprite from preloaded asset
-    this.sprite = PIXI.Sprite.from(assetAlias);
+    this.sprite = this.game.createSprite(assetAlias);
 
     // Center the sprite
     this.sprite.anchor.set(0.5, 1); // Anchor at bottom center
@@ -59,6 +80,45 @@ class Tree extends Entity {
 
     // Add sprite to container
     this.container.addChild(this.sprite);
+
+    this.updateSeasonLook();
+  }
+
+  /**
+   * Change the tree's looks for a season
+   * @param {string} season - Season name
+   */
+  setSeason(season) {
+    this.season = season;
+    this.updateSeasonLook();
+  }
+
+  /**
+   * Tint the sprite and draw snow for the tree type's look this season
+   */
+  updateSeasonLook() {
+    if (!this.sprite) return;
+
+    const looks = Tree.seasonLooks[this.treeType] || {};
+    const look = looks[this.season] || {};
+    this.sprite.tint = look.bare ? Tree.bareTint : look.tint ?? 0xffffff;
+
+    // Snow lies on the crown, so it goes in front of the sprite
+    this.graphics.clear();
+    if (look.snow) {
+      const width = this.sprite.width;
+      const height = this.sprite.height;
+      [0.85, 0.62, 0.4].forEach((level, index) => {
+        this.graphics.ellipse(
+          0,
+          -height * level,
+          width * (0.12 + index * 0.08),
+          height * 0.04
+        );
+      });
+      this.graphics.fill(Tree.snowColor);
+      this.container.addChild(this.graphics);
+    }
   }
 
   /**
@@ -71,11 +131,22 @@ class Tree extends Entity {
     // Update Z position based on current cell height
     if (this.currentCell) {
       this.z = this.currentCell.z;
-      this.container.y = this.position.y - this.z;
     }
 
-    // Update visibility
-    this.container.visible = this.visible && this.active;
+    this.updateView();
+  }
+
+  /**
+   * Regrow harvested health, only while there is daylight
+   * @param {number} deltaTime - Time since last update in seconds
+   */
+  grow(deltaTime) {
+    if (!this.active || this.health >= this.maxHealth) return;
+
+    const clock = this.game.clock;
+    const regrowth =
+      Tree.regrowthRate * clock.getDaylight() * clock.toHours(deltaTime);
+    this.health = Math.min(this.maxHealth, this.health + regrowth);
   }
 
   /**
@@ -95,8 +166,8 @@ class Tree extends Entity {
       return { wood: 0, seeds: 0 };
     }
 
-    const woodYield = Math.floor(Math.random() * 5) + 3; // 3-7 wood
-    const seedYield = Math.random() < 0.3 ? 1 : 0; // 30% chance for seeds
+    const woodYield = this.game.random.int(3, 7); // 3-7 wood
+    const seedYield = this.game.random.next() < 0.3 ? 1 : 0; // 30% chance for seeds
 
     this.health -= 50;
 
@@ -125,6 +196,61 @@ class Tree extends Entity {
     return tree;
   }
 
+  /**
+   * Get the state needed to recreate this tree
+   * @returns {Object} Plain object, safe to store as JSON
+   */
+  serialize() {
+    return {
+      ...super.serialize(),
+      treeType: this.treeType,
+      health: this.health,
+      maxHealth: this.maxHealth,
+    };
+  }
+
+  /**
+   * Recreate a tree from serialize() data
+   * @param {Object} data - Serialized tree
+   * @param {World} game - World to add the tree to
+   * @returns {Tree} The new tree
+   */
+  static deserialize(data, game) {
+    const tree = new Tree(
+      data.position.x,
+      data.position.y,
+      game,
+      data.treeType
+    );
+    tree.restoreState(data);
+    return tree;
+  }
+
+  /**
+   * Apply serialized state, including health
+   * @param {Object} data - Serialized tree
+   */
+  restoreState(data) {
+    super.restoreState(data);
+    this.maxHealth = data.maxHealth ?? this.maxHealth;
+    this.health = data.health ?? this.maxHealth;
+  }
+
+  /**
+   * Get tree-specific debug information
+   * @returns {Object} Extended debug information
+   */
+  getDebugInfo() {
+    return {
+      ...super.getDebugInfo(),
+      type: "Tree",
+      treeType: this.treeType,
+      health: this.health,
+      maxHealth: this.maxHealth,
+      season: this.season,
+    };
+  }
+
   /**
    * Get information about this tree
    * @returns {Object} Tree information
@@ -0,0 +1,303 @@
+import Victor from "victor";
+import { SeededRandom } from "./seededRandom.js";
+import { SimplexNoise } from "./simplexNoise.js";
+
+/**
+ * Weather of a world: a wind field that slowly changes with time, and
+ * precipitation fronts that form near the camera, drift with the wind and
+ * fade away. What falls depends on the cell underneath: snow on frozen
+ * cells, rain elsewhere and nothing over deserts. Rain and snow wet the
+ * soil, which dries again over time, and fog gathers over moist, calm
+ * ground at night and at dawn. Renderer-agnostic: WeatherRenderer draws it.
+ *
+ * Weather has its own generators, seeded from the world seed, so it never
+ * changes what the world generator produces.
+ */
+export class Weather {
+  // Mixed into the seed so weather does not correlate with the terrain
+  static salt = 0x3ea7;
+
+  // Wind: noise frequency per cell and per in-game hour, top speed in
+  // pixels per second
+  static windScale = 0.01;
+  static windChange = 0.1;
+  static maxWindSpeed = 40;
+
+  // Fronts: chance per in-game hour that one forms, how many there can be,
+  // how far from the camera they form (in cells) and their size (in cells),
+  // duration (in hours) and strength ranges
+  static frontChance = 0.25;
+  static maxFronts = 4;
+  static frontDistance = 40;
+  static frontRadius = [10, 30];
+  static frontDuration = [3, 10];
+  static frontIntensity = [0.4, 1];
+  // Hours a front takes to build up and to fade out
+  static frontFade = 1;
+
+  // Soil wetness gained per hour of full rain or snow, and lost per hour
+  // in full daylight (a fifth of it at night)
+  static wetting = { rain: 0.1, snow: 0.02 };
+  static drying = 0.03;
+
+  // Fog strength by phase of the day, over ground at least this moist
+  static fog = { night: 0.6, dawn: 0.9, day: 0, dusk: 0.3 };
+  static fogMoisture = 0.5;
+
+  // How active animals are under full rain or snow (they take shelter)
+  static animalActivity = { rain: 0.5, snow: 0.4 };
+
+  /**
+   * @param {World} world - The world
+   * @param {Object} options - Weather options
+   * @param {number|string} options.seed - Seed (defaults to the world seed)
+   */
+  constructor(world, options = {}) {
+    this.world = world;
+    this.seed = SeededRandom.hash(options.seed ?? world.seed, Weather.salt);
+    this.random = new SeededRandom(this.seed);
+    this.windNoise = new SimplexNoise(this.seed);
+
+    // In-game hours since the weather started; moves the wind field
+    this.time = 0;
+    // Precipitation fronts: {x, y, radius, intensity, age, duration}, with
+    // position and radius in pixels and age and duration in hours
+    this.fronts = [];
+    // Soil wetness (0-1) of the cells that are wet, by cell key. Kept here
+    // rather than on the cells so it survives chunks unloading.
+    this.wetness = new Map();
+  }
+
+  /**
+   * Advance the weather: move the fronts with the wind, age them and
+   * maybe form a new one
+   * @param {number} deltaTime - Simulation time in seconds
+   */
+  update(deltaTime) {
+    const hours = this.world.clock.toHours(deltaTime);
+    this.time += hours;
+
+    this.fronts.forEach((front) => {
+      const wind = this.getWind(front.x, front.y);
+      front.x += wind.x * deltaTime;
+      front.y += wind.y * deltaTime;
+      front.age += hours;
+    });
+    this.fronts = this.fronts.filter((front) => front.age < front.duration);
+
+    if (
+      this.fronts.length < Weather.maxFronts &&
+      this.random.next() < Weather.frontChance * hours
+    ) {
+      const camera = this.world.getCameraPosition();
+      const cellSize = this.world.grid.cellSize;
+      const angle = this.random.next() * Math.PI * 2;
+      const distance = this.random.range(0, Weather.frontDistance) * cellSize;
+      this.addFront(
+        camera.x + Math.cos(angle) * distance,
+        camera.y + Math.sin(angle) * distance
+      );
+    }
+  }
+
+  /**
+   * Start a precipitation front
+   * @param {number} x - World X of its center
+   * @param {number} y - World Y of its center
+   * @param {Object} options - Overrides of the random radius (in pixels),
+   *   intensity and duration (in hours)
+   * @returns {Object} The front
+   */
+  addFront(x, y, options = {}) {
+    const cellSize = this.world.grid.cellSize;
+    const front = {
+      x,
+      y,
+      radius:
+        options.radius ?? this.random.range(...Weather.frontRadius) * cellSize,
+      intensity:
+        options.intensity ?? this.random.range(...Weather.frontIntensity),
+      age: 0,
+      duration: options.duration ?? this.random.range(...Weather.frontDuration),
+    };
+    this.fronts.push(front);
+    return front;
+  }
+
+  /**
+   * Get the wind at a point
+   * @param {number} x - World X coordinate
+   * @param {number} y - World Y coordinate
+   * @returns {Victor} Wind velocity in pixels per second
+   */
+  getWind(x, y) {
+    const cellSize = this.world.grid.cellSize;
+    const u = (x / cellSize) * Weather.windScale;
+    const v = (y / cellSize) * Weather.windScale;
+    const z = this.time * Weather.windChange;
+
+    // Direction and speed come from two far apart areas of the same noise
+    const angle = this.windNoise.noise(u, v, z) * Math.PI * 4;
+    const speed =
+      this.windNoise.noise(u + 500, v + 500, z) * Weather.maxWindSpeed;
+    return new Victor(Math.cos(angle) * speed, Math.sin(angle) * speed);
+  }
+
+  /**
+   * Get the precipitation at a point, from the strongest front over it
+   * @param {number} x - World X coordinate
+   * @param {number} y - World Y coordinate
+   * @returns {Object} {type: "rain", "snow" or null, intensity (0-1)}
+   */
+  getPrecipitation(x, y) {
+    const grid = this.world.grid;
+    const { cellX, cellY } = grid.worldToCell(x, y);
+    const cell = grid.getLoadedCell(cellX, cellY);
+    if (!cell || cell.desert) return { type: null, intensity: 0 };
+
+    let intensity = 0;
+    this.fronts.forEach((front) => {
+      const distance = Math.hypot(x - front.x, y - front.y);
+      if (distance >= front.radius) return;
+
+      const falloff = 1 - distance / front.radius;
+      intensity = Math.max(
+        intensity,
+        front.intensity * falloff * Weather.getFrontStrength(front)
+      );
+    });
+
+    if (intensity <= 0) return { type: null, intensity: 0 };
+    return { type: cell.frozen ? "snow" : "rain", intensity };
+  }
+
+  /**
+   * Get how built up a front is, fading in when it forms and out before it
+   * ends
+   * @param {Object} front - The front
+   * @returns {number} Strength (0-1)
+   */
+  static getFrontStrength(front) {
+    const fade = Weather.frontFade;
+    const fadeIn = Math.min(1, front.age / fade);
+    const fadeOut = Math.min(1, (front.duration - front.age) / fade);
+    return Math.max(0, Math.min(fadeIn, fadeOut));
+  }
+
+  /**
+   * Get the fog density at a point: fog gathers over moist ground in calm
+   * air, mostly at night and dawn
+   * @param {number} x - World X coordinate
+   * @param {number} y - World Y coordinate
+   * @returns {number} Fog density (0-1)
+   */
+  getFog(x, y) {
+    const grid = this.world.grid;
+    const { cellX, cellY } = grid.worldToCell(x, y);
+    const cell = grid.getLoadedCell(cellX, cellY);
+    if (!cell) return 0;
+
+    const strength = Weather.fog[this.world.clock.phase] ?? 0;
+    const moisture =
+      (cell.getMoisture() - Weather.fogMoisture) / (1 - Weather.fogMoisture);
+    const calm = 1 - this.getWind(x, y).length() / Weather.maxWindSpeed;
+    return Math.max(0, Math.min(1, strength * moisture * calm));
+  }
+
+  /**
+   * Get the soil wetness of a cell
+   * @param {Cell} cell - The cell
+   * @returns {number} Wetness (0-1)
+   */
+  getWetness(cell) {
+    return this.wetness.get(this.world.grid.getCellKey(cell.x, cell.y)) || 0;
+  }
+
+  /**
+   * Wet the soil of the loaded cells under rain or snow and dry every wet
+   * cell, loaded or not. Called every in-game hour.
+   * @param {number} hours - In-game hours since the last call
+   */
+  updateSoil(hours = 1) {
+    const grid = this.world.grid;
+    const daylight = this.world.clock.getDaylight();
+    const drying = Weather.drying * (0.2 + 0.8 * daylight) * hours;
+
+    this.wetness.forEach((wetness, key) => {
+      if (wetness <= drying) this.wetness.delete(key);
+      else this.wetness.set(key, wetness - drying);
+    });
+
+    Object.values(grid.cells).forEach((cell) => {
+      if (cell.water) return;
+
+      const { type, intensity } = this.getPrecipitation(
+        cell.worldX + grid.cellSize / 2,
+        cell.worldY + grid.cellSize / 2
+      );
+      if (!type) return;
+
+      const wetness =
+        this.getWetness(cell) + Weather.wetting[type] * intensity * hours;
+      this.wetness.set(grid.getCellKey(cell.x, cell.y), Math.min(1, wetness));
+    });
+  }
+
+  /**
+   * Get how active animals are under the weather at a point
+   * @param {number} x - World X coordinate
+   * @param {number} y - World Y coordinate
+   * @returns {number} Activity factor (0-1)
+   */
+  getAnimalActivity(x, y) {
+    const { type, intensity } = this.getPrecipitation(x, y);
+    if (!type) return 1;
+    return 1 - (1 - Weather.animalActivity[type]) * intensity;
+  }
+
+  /**
+   * Get the state to keep in saves
+   * @returns {Object} {seed, time, fronts, random, wetness: [[cell key,
+   *   wetness]]}
+   */
+  serialize() {
+    return {
+      seed: this.seed,
+      time: this.time,
+      fronts: this.fronts.map((front) => ({ ...front })),
+      random: this.random.state,
+      wetness: [...this.wetness.entries()],
+    };
+  }
+
+  /**
+   * Apply saved state
+   * @param {Object} data - State from serialize()
+   */
+  restoreState(data) {
+    this.seed = data.seed;
+    this.windNoise = new SimplexNoise(this.seed);
+    this.time = data.time;
+    this.fronts = data.fronts.map((front) => ({ ...front }));
+    this.random.state = data.random;
+    this.wetness = new Map(data.wetness);
+  }
+
+  /**
+   * Get debug information about the weather
+   * @returns {Object} Debug information
+   */
+  getDebugInfo() {
+    const camera = this.world.getCameraPosition();
+    const wind = this.getWind(camera.x, camera.y);
+    const precipitation = this.getPrecipitation(camera.x, camera.y);
+    return {
+      fronts: this.fronts.length,
+      wind: wind.length().toFixed(1),
+      precipitation: precipitation.type
+        ? `${precipitation.type} ${precipitation.intensity.toFixed(2)}`
+        : "none",
+      fog: this.getFog(camera.x, camera.y).toFixed(2),
+    };
+  }
+}
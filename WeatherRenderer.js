@@ -0,0 +1,217 @@
+import * as PIXI from "pixi.js";
+import { Lighting } from "./Lighting.js";
+
+/**
+ * Draws the world's weather (see Weather) over the view: rain streaks and
+ * snowflakes falling where a front is, blown by the wind, and soft fog
+ * patches. Particles live in world coordinates and are drawn in screen
+ * space every frame, below the light map so they darken at night.
+ */
+export class WeatherRenderer {
+  static maxParticles = 800;
+  // Particles tried per frame; each is kept with the local intensity
+  static spawnAttempts = 60;
+  // Height range in pixels particles start falling from
+  static fallHeight = [60, 160];
+  // Falling speed in pixels per second
+  static fallSpeed = { rain: 500, snow: 45 };
+  static rainColor = 0xb4ccf0;
+  static snowColor = 0xffffff;
+  // Seconds of movement drawn as a rain streak
+  static streakTime = 0.03;
+  static snowRadius = 1.5;
+
+  // Fog patches are sampled every fogSpacing cells, and further apart when
+  // more than maxFogPatches would be visible
+  static fogSpacing = 3;
+  static maxFogPatches = 400;
+  static fogColor = 0xdfe6ec;
+  static fogAlpha = 0.7;
+
+  constructor(game) {
+    this.game = game;
+
+    this.container = new PIXI.Container();
+    this.fogContainer = new PIXI.Container();
+    this.graphics = new PIXI.Graphics();
+    this.container.addChild(this.fogContainer);
+    this.container.addChild(this.graphics);
+
+    // {x, y, ground, z, type}: world position, ground elevation and height
+    // above the ground
+    this.particles = [];
+    this.fogTexture = Lighting.createGradient(Lighting.gradientSize);
+    this.fogSprites = []; // Reused from frame to frame
+  }
+
+  /**
+   * Move, spawn and draw the particles and the fog for the current view
+   * @param {number} deltaTime - Time since last update in seconds
+   */
+  update(deltaTime) {
+    const game = this.game;
+    const weather = game.weather;
+    const bounds = game.getVisibleBounds();
+
+    // The wind field barely changes across a view, so one sample does
+    const center = game.getCameraPosition();
+    const wind = weather.getWind(center.x, center.y);
+
+    this.particles = this.particles.filter((particle) => {
+      particle.x += wind.x * deltaTime;
+      particle.y += wind.y * deltaTime;
+      particle.z -= WeatherRenderer.fallSpeed[particle.type] * deltaTime;
+      return (
+        particle.z > 0 &&
+        particle.x >= bounds.minX &&
+        particle.x <= bounds.maxX &&
+        particle.y >= bounds.minY &&
+        particle.y <= bounds.maxY
+      );
+    });
+
+    // Particles are only visual, so they must not draw from the world's
+    // seeded generators
+    const [minHeight, maxHeight] = WeatherRenderer.fallHeight;
+    for (let i = 0; i < WeatherRenderer.spawnAttempts; i++) {
+      if (this.particles.length >= WeatherRenderer.maxParticles) break;
+
+      const x = bounds.minX + Math.random() * (bounds.maxX - bounds.minX);
+      const y = bounds.minY + Math.random() * (bounds.maxY - bounds.minY);
+      const { type, intensity } = weather.getPrecipitation(x, y);
+      if (!type || Math.random() >= intensity) continue;
+
+      this.particles.push({
+        x,
+        y,
+        ground: game.grid.getElevationAt(x, y),
+        z: minHeight + Math.random() * (maxHeight - minHeight),
+        type,
+      });
+    }
+
+    this.drawParticles(wind);
+    this.updateFog(bounds);
+  }
+
+  /**
+   * Draw every particle: rain as streaks along its movement, snow as dots
+   * @param {Victor} wind - Wind velocity in pixels per second
+   */
+  drawParticles(wind) {
+    const game = this.game;
+    const zoom = game.camera.zoom;
+    const graphics = this.graphics;
+    const streak = WeatherRenderer.streakTime;
+    graphics.clear();
+
+    let rain = 0;
+    let snow = 0;
+    const fall = WeatherRenderer.fallSpeed.rain * streak;
+    this.particles.forEach((particle) => {
+      if (particle.type !== "rain") return;
+      const screen = game.worldToScreen(
+        particle.x,
+        particle.y - particle.ground - particle.z
+      );
+      graphics.moveTo(screen.x, screen.y);
+      graphics.lineTo(
+        screen.x - wind.x * streak * zoom,
+        screen.y - (wind.y * streak + fall) * zoom
+      );
+      rain++;
+    });
+    if (rain > 0) {
+      graphics.stroke({
+        width: Math.max(1, zoom),
+        color: WeatherRenderer.rainColor,
+        alpha: 0.6,
+      });
+    }
+
+    this.particles.forEach((particle) => {
+      if (particle.type !== "snow") return;
+      const screen = game.worldToScreen(
+        particle.x,
+        particle.y - particle.ground - particle.z
+      );
+      graphics.circle(
+        screen.x,
+        screen.y,
+        Math.max(1, WeatherRenderer.snowRadius * zoom)
+      );
+      snow++;
+    });
+    if (snow > 0) {
+      graphics.fill({ color: WeatherRenderer.snowColor, alpha: 0.9 });
+    }
+  }
+
+  /**
+   * Place the fog patches on a grid of world points over the view, so they
+   * stay put as the camera moves
+   * @param {Object} bounds - Visible world area {minX, minY, maxX, maxY}
+   */
+  updateFog(bounds) {
+    const game = this.game;
+    const zoom = game.camera.zoom;
+
+    let spacing = WeatherRenderer.fogSpacing * game.grid.cellSize;
+    while (
+      ((bounds.maxX - bounds.minX) / spacing + 2) *
+        ((bounds.maxY - bounds.minY) / spacing + 2) >
+      WeatherRenderer.maxFogPatches
+    ) {
+      spacing *= 2;
+    }
+
+    let used = 0;
+    const startX = Math.floor(bounds.minX / spacing) * spacing;
+    const startY = Math.floor(bounds.minY / spacing) * spacing;
+    for (let y = startY; y <= bounds.maxY + spacing; y += spacing) {
+      for (let x = startX; x <= bounds.maxX + spacing; x += spacing) {
+        const fog = game.weather.getFog(x, y);
+        if (fog <= 0.01) continue;
+
+        const sprite = this.getFogSprite(used++);
+        const screen = game.worldToScreen(x, y);
+        sprite.x = screen.x;
+        sprite.y = screen.y;
+        // Patches overlap their neighbours so the fog reads as one layer
+        sprite.scale.set((spacing * 3 * zoom) / Lighting.gradientSize);
+        sprite.alpha = fog * WeatherRenderer.fogAlpha;
+        sprite.visible = true;
+      }
+    }
+
+    for (let i = used; i < this.fogSprites.length; i++) {
+      this.fogSprites[i].visible = false;
+    }
+  }
+
+  /**
+   * Get a pooled fog sprite, creating it if needed
+   * @param {number} index - Pool index
+   * @returns {PIXI.Sprite} Fog sprite
+   */
+  getFogSprite(index) {
+    if (!this.fogSprites[index]) {
+      const sprite = new PIXI.Sprite(this.fogTexture);
+      sprite.anchor.set(0.5);
+      sprite.tint = WeatherRenderer.fogColor;
+      this.fogContainer.addChild(sprite);
+      this.fogSprites[index] = sprite;
+    }
+    return this.fogSprites[index];
+  }
+
+  /**
+   * Remove the weather from the stage and release the fog texture
+   */
+  destroy() {
+    this.container.destroy({ children: true });
+    this.fogTexture.destroy(true);
+    this.particles = [];
+    this.fogSprites = [];
+  }
+}
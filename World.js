@@ -0,0 +1,406 @@
+import { SeededRandom } from "./seededRandom.js";
+import { Grid } from "./Grid.js";
+import { Entity } from "./Entity.js";
+import { Tree } from "./Tree.js";
+import { Camera } from "./Camera.js";
+import { SaveManager } from "./SaveManager.js";
+import { WorldClock } from "./WorldClock.js";
+import { Weather } from "./Weather.js";
+
+/**
+ * The simulation: grid, entities, seed and camera, without any PIXI or DOM
+ * dependency. Runs on its own under Node (advance it with step()); Game
+ * extends it with rendering.
+ */
+export class World {
+  constructor(options = {}) {
+    // Worlds without a renderer never create entity views
+    this.headless = true;
+
+    // World seed: the same seed always generates the same world
+    this.seed =
+      options.seed !== undefined && options.seed !== null
+        ? options.seed
+        : Math.floor(Math.random() * 4294967296);
+    this.random = new SeededRandom(this.seed);
+
+    // Optional world limits in cells ({minX, minY, maxX, maxY}); terrain
+    // falls off into the sea towards them, making an island map
+    this.worldBounds = options.worldBounds || null;
+
+    // Time of day and year; entities react to it through the clock's
+    // events. Created before the grid, since cells depend on the season.
+    this.clock = new WorldClock({
+      dayLength: options.dayLength,
+      speed: options.timeSpeed,
+      startTime: options.startTime,
+      daysPerSeason: options.daysPerSeason,
+      startSeason: options.startSeason,
+    });
+    this.clock.on("day", () => this.grid.updateSeason());
+    this.clock.on("season", (season) => {
+      this.trees.forEach((tree) => tree.setSeason(season));
+    });
+
+    // Wind, precipitation fronts and fog; the soil is wetted every hour
+    this.weather = new Weather(this, options.weather);
+    this.clock.on("hour", () => this.weather.updateSoil());
+
+    // World systems
+    this.options = options; // Kept to rebuild the grid in regenerate()
+    this.grid = this.createGrid(options);
+    this.entities = new Set();
+    this.trees = new Set();
+    this.animals = new Set();
+    this.plants = new Set();
+    this.leaves = [];
+
+    // Camera (position, zoom, following); kept inside the world bounds
+    this.camera = new Camera({
+      seed: this.seed,
+      bounds: this.getCameraBounds(),
+      ...options.camera,
+    });
+
+    // Point lights (see addLight()), shown by the renderer at night
+    this.lights = new Set();
+
+    // Save and load to localStorage, IndexedDB or files
+    this.saveManager = new SaveManager(this);
+
+    // Simulation state
+    this.running = false;
+    this.deltaTime = 0;
+  }
+
+  /**
+   * Create the grid for the current seed
+   * @param {Object} options - World options
+   * @returns {Grid} The grid
+   */
+  createGrid(options) {
+    const cellSize = options.cellSize || 16;
+    // noiseFrequencies is still accepted for older configs
+    const noiseConfig = options.noiseConfig || options.noiseFrequencies || {};
+    return new Grid(cellSize, noiseConfig, this, this.seed, {
+      chunkSize: options.chunkSize,
+      chunkLoadRadius: options.chunkLoadRadius,
+      chunkUnloadRadius: options.chunkUnloadRadius,
+      chunkTimeBudget: options.chunkTimeBudget,
+      useWorker: options.useWorker,
+      worldBounds: options.worldBounds,
+      worldFalloff: options.worldFalloff,
+    });
+  }
+
+  /**
+   * Get the world bounds in world pixels, for the camera
+   * @returns {Object|null} {minX, minY, maxX, maxY} or null without bounds
+   */
+  getCameraBounds() {
+    if (!this.worldBounds) return null;
+
+    const cellSize = this.grid.cellSize;
+    return {
+      minX: this.worldBounds.minX * cellSize,
+      minY: this.worldBounds.minY * cellSize,
+      maxX: (this.worldBounds.maxX + 1) * cellSize,
+      maxY: (this.worldBounds.maxY + 1) * cellSize,
+    };
+  }
+
+  /**
+   * Get everything that decides what terrain is generated. Two worlds
+   * with the same config generate the same cells.
+   * @returns {Object} {seed, cellSize, chunkSize, noiseConfig, worldBounds,
+   *   worldFalloff}
+   */
+  getWorldConfig() {
+    return {
+      seed: this.seed,
+      cellSize: this.grid.cellSize,
+      chunkSize: this.grid.chunkSize,
+      noiseConfig: this.grid.noiseConfig,
+      worldBounds: this.worldBounds,
+      worldFalloff: this.grid.terrain.options.falloff,
+    };
+  }
+
+  /**
+   * Throw the world away and generate it again, possibly from another
+   * config (see getWorldConfig()). Every entity is removed.
+   * @param {Object} config - World config; missing entries keep their value
+   */
+  regenerate(config = {}) {
+    this.camera.follow(null);
+    this.clearEntities();
+    this.grid.stopTerrainWorker();
+
+    this.options = { ...this.options, ...config };
+    this.seed = this.options.seed ?? this.seed;
+    this.random = new SeededRandom(this.seed);
+    this.weather = new Weather(this, this.options.weather);
+    this.worldBounds = this.options.worldBounds || null;
+
+    this.grid = this.createGrid(this.options);
+    this.camera.bounds = this.getCameraBounds();
+    this.camera.clampToBounds();
+  }
+
+  /**
+   * Let entities that grow (e.g. trees recovering from harvest) grow
+   * @param {number} deltaTime - Time to advance in seconds
+   */
+  growPlants(deltaTime) {
+    this.entities.forEach((entity) => {
+      if (entity.grow) {
+        entity.grow(deltaTime);
+      } else if (entity.regenerate) {
+        entity.regenerate();
+      }
+    });
+  }
+
+  /**
+   * Add a point light. Lights with an entity follow it.
+   * @param {Object} options - Light options
+   * @param {number} options.x - World X (ignored with an entity)
+   * @param {number} options.y - World Y (ignored with an entity)
+   * @param {Entity} options.entity - Entity carrying the light
+   * @param {number} options.radius - Radius in world pixels
+   * @param {number} options.color - Hex color
+   * @param {number} options.intensity - Brightness (0-1)
+   * @param {number} options.flicker - Random brightness change (0-1), e.g.
+   *   for fires
+   * @returns {Object} The light; change its fields to update it
+   */
+  addLight(options = {}) {
+    const light = {
+      x: 0,
+      y: 0,
+      entity: null,
+      radius: 128,
+      color: 0xffcc88,
+      intensity: 1,
+      flicker: 0,
+      ...options,
+    };
+    this.lights.add(light);
+    return light;
+  }
+
+  /**
+   * Remove a point light
+   * @param {Object} light - Light from addLight()
+   */
+  removeLight(light) {
+    this.lights.delete(light);
+  }
+
+  /**
+   * Get where a light is, following its entity
+   * @param {Object} light - Light from addLight()
+   * @returns {Object} {x, y, z} in world pixels
+   */
+  getLightPosition(light) {
+    if (light.entity) {
+      const { position, z } = light.entity;
+      return { x: position.x, y: position.y, z };
+    }
+    return {
+      x: light.x,
+      y: light.y,
+      z: this.grid.getElevationAt(light.x, light.y),
+    };
+  }
+
+  /**
+   * Advance the simulation by one tick
+   * @param {number} deltaTime - Time to advance in seconds
+   */
+  step(deltaTime) {
+    this.deltaTime = deltaTime;
+    this.clock.advance(deltaTime);
+    this.weather.update(deltaTime);
+
+    // Update all entities
+    this.entities.forEach((entity) => {
+      if (entity.active) {
+        entity.update(this.deltaTime);
+      }
+    });
+
+    this.growPlants(this.deltaTime);
+
+    // Custom update logic can be added here
+    this.update(this.deltaTime);
+  }
+
+  /**
+   * Custom update method (override in subclasses)
+   * @param {number} deltaTime - Time since last update in seconds
+   */
+  update(deltaTime) {
+    // Override this method for custom game logic
+
+    // Update all plants (L-system plants)
+    this.plants.forEach((plant) => {
+      if (plant.update) {
+        plant.update(deltaTime);
+      }
+    });
+
+    this.camera.update(deltaTime);
+
+    // Stream chunks around the camera within the per-frame time budget
+    const camera = this.getCameraPosition();
+    this.grid.updateStreaming(camera.x, camera.y);
+  }
+
+  /**
+   * Create the visual representation of an entity. Headless worlds have none.
+   * @param {Entity} entity - The entity
+   * @returns {Object|null} {container, graphics} or null
+   */
+  createEntityView(entity) {
+    return null;
+  }
+
+  /**
+   * Create a new entity at the specified position
+   * @param {number} x - X position
+   * @param {number} y - Y position
+   * @param {number} color - Entity color (hex)
+   * @returns {Entity} The created entity
+   */
+  createEntity(x = 0, y = 0, color = null) {
+    const entity = new Entity(x, y, this);
+
+    if (color !== null) {
+      entity.setAppearance(color);
+    }
+
+    return entity;
+  }
+
+  /**
+   * Create a new tree at the specified position
+   * @param {number} x - X position
+   * @param {number} y - Y position
+   * @param {string} treeType - Optional tree type
+   * @returns {Tree} The created tree
+   */
+  createTree(x = 0, y = 0, treeType = null) {
+    return new Tree(x, y, this, treeType);
+  }
+
+  /**
+   * Remove an entity from the world
+   * @param {Entity} entity - The entity to remove
+   */
+  removeEntity(entity) {
+    if (this.entities.has(entity)) {
+      this.entities.delete(entity);
+      this.trees.delete(entity);
+      this.animals.delete(entity);
+      entity.destroy();
+    }
+  }
+
+  /**
+   * Get all entities in the world
+   * @returns {Set} Set of all entities
+   */
+  getAllEntities() {
+    return new Set(this.entities);
+  }
+
+  /**
+   * Get entities within a radius of a point
+   * @param {number} x - Center X coordinate
+   * @param {number} y - Center Y coordinate
+   * @param {number} radius - Search radius
+   * @returns {Set} Set of entities within the radius
+   */
+  getEntitiesInRadius(x, y, radius) {
+    return this.grid.getEntitiesInRadius(x, y, radius);
+  }
+
+  /**
+   * Get entities in a rectangular area
+   * @param {number} x - Rectangle X coordinate
+   * @param {number} y - Rectangle Y coordinate
+   * @param {number} width - Rectangle width
+   * @param {number} height - Rectangle height
+   * @returns {Set} Set of entities in the area
+   */
+  getEntitiesInArea(x, y, width, height) {
+    return this.grid.getEntitiesInArea(x, y, width, height);
+  }
+
+  /**
+   * Set the camera position
+   * @param {number} x - Camera X position
+   * @param {number} y - Camera Y position
+   */
+  setCameraPosition(x, y) {
+    this.camera.setPosition(x, y);
+  }
+
+  /**
+   * Get the camera position
+   * @returns {Object} Camera position {x, y}
+   */
+  getCameraPosition() {
+    return { x: this.camera.x, y: this.camera.y };
+  }
+
+  /**
+   * Clear all entities and lights from the world
+   */
+  clearEntities() {
+    this.entities.forEach((entity) => entity.destroy());
+    this.entities.clear();
+    this.lights.clear();
+    this.trees.clear();
+    this.animals.clear();
+    this.grid.clear();
+  }
+
+  /**
+   * Get debug information about the world
+   * @returns {Object} Debug information
+   */
+  getDebugInfo() {
+    const gridInfo = this.grid.getDebugInfo();
+
+    return {
+      running: this.running,
+      seed: this.seed,
+      entities: this.entities.size,
+      activeEntities: Array.from(this.entities).filter((e) => e.active).length,
+      grid: gridInfo,
+      camera: this.camera.getDebugInfo(),
+      clock: {
+        day: this.clock.day,
+        time: this.clock.getTimeString(),
+        phase: this.clock.phase,
+        season: this.clock.season,
+      },
+      weather: this.weather.getDebugInfo(),
+      lights: this.lights.size,
+      deltaTime: this.deltaTime,
+    };
+  }
+
+  /**
+   * Destroy the world and clean up resources
+   */
+  destroy() {
+    this.clearEntities();
+    this.grid.stopTerrainWorker();
+
+    this.grid = null;
+    this.entities = null;
+  }
+}
@@ -0,0 +1,260 @@
+import { Colors } from "./Colors.js";
+import { Seasons } from "./Seasons.js";
+
+/**
+ * Time of day and of year of a world. Time advances with the simulation,
+ * split into phases (dawn, day, dusk, night) that drive the ambient light
+ * color, and days make up the seasons (see Seasons). Anything can react to
+ * the time through on("hour" | "phase" | "day" | "season").
+ */
+export class WorldClock {
+  static hoursPerDay = 24;
+
+  // Phases by the hour they start at, in order
+  static phases = [
+    { name: "night", start: 0 },
+    { name: "dawn", start: 5 },
+    { name: "day", start: 7 },
+    { name: "dusk", start: 18 },
+    { name: "night", start: 20 },
+  ];
+
+  // Ambient light by hour: multiplies the colors of the world
+  static ambient = [
+    [0, { r: 45, g: 55, b: 110 }],
+    [4.5, { r: 45, g: 55, b: 110 }],
+    [6, { r: 230, g: 160, b: 130 }],
+    [8, { r: 255, g: 255, b: 255 }],
+    [17, { r: 255, g: 255, b: 255 }],
+    [19, { r: 240, g: 140, b: 100 }],
+    [20.5, { r: 45, g: 55, b: 110 }],
+    [24, { r: 45, g: 55, b: 110 }],
+  ];
+
+  /**
+   * @param {Object} options - Clock options
+   * @param {number} options.dayLength - Seconds of simulation per day
+   * @param {number} options.speed - Multiplier of the time flow (0 stops it)
+   * @param {number} options.startTime - Hour of day to start at (0-24)
+   * @param {number} options.daysPerSeason - Days in each season
+   * @param {string} options.startSeason - Season of the first day
+   */
+  constructor(options = {}) {
+    this.dayLength = options.dayLength ?? 600;
+    this.speed = options.speed ?? 1;
+    this.time = (options.startTime ?? 8) % WorldClock.hoursPerDay;
+    this.daysPerSeason = options.daysPerSeason ?? 3;
+    this.day =
+      Math.max(0, Seasons.names.indexOf(options.startSeason)) *
+      this.daysPerSeason;
+    this.phase = this.getPhase();
+    this.season = this.getSeason();
+
+    // event name -> Set of listeners
+    this.listeners = {
+      hour: new Set(),
+      phase: new Set(),
+      day: new Set(),
+      season: new Set(),
+    };
+  }
+
+  /**
+   * Listen to the clock. "hour" fires with (hour) for every hour that
+   * starts, "phase" with (phase, previousPhase), "day" with (day) and
+   * "season" with (season, previousSeason).
+   * @param {string} event - "hour", "phase", "day" or "season"
+   * @param {Function} listener - Called with the event arguments
+   * @returns {Function} Call to stop listening
+   */
+  on(event, listener) {
+    this.listeners[event].add(listener);
+    return () => this.listeners[event].delete(listener);
+  }
+
+  /**
+   * Call the listeners of an event
+   * @param {string} event - Event name
+   * @param {...*} args - Listener arguments
+   */
+  emit(event, ...args) {
+    this.listeners[event].forEach((listener) => listener(...args));
+  }
+
+  /**
+   * Convert simulation time to hours of the clock
+   * @param {number} deltaTime - Simulation time in seconds
+   * @returns {number} Hours
+   */
+  toHours(deltaTime) {
+    return (deltaTime / this.dayLength) * WorldClock.hoursPerDay * this.speed;
+  }
+
+  /**
+   * Advance the time, firing the events of every hour, phase and day passed
+   * @param {number} deltaTime - Simulation time in seconds
+   */
+  advance(deltaTime) {
+    this.setTime(this.time + this.toHours(deltaTime));
+  }
+
+  /**
+   * Move the clock forward to an hour, firing events on the way. Hours of
+   * 24 or more continue into the next days.
+   * @param {number} time - Target hour, not before the current time
+   */
+  setTime(time) {
+    while (Math.floor(time) > Math.floor(this.time)) {
+      this.time = Math.floor(this.time) + 1;
+      if (this.time >= WorldClock.hoursPerDay) {
+        this.time -= WorldClock.hoursPerDay;
+        time -= WorldClock.hoursPerDay;
+        this.day++;
+        this.updateSeason();
+        this.emit("day", this.day);
+      }
+      this.emit("hour", this.time);
+      this.updatePhase();
+    }
+
+    this.time = time;
+    this.updatePhase();
+  }
+
+  /**
+   * Fire the phase event if the phase changed
+   */
+  updatePhase() {
+    const phase = this.getPhase();
+    if (phase === this.phase) return;
+
+    const previous = this.phase;
+    this.phase = phase;
+    this.emit("phase", phase, previous);
+  }
+
+  /**
+   * Fire the season event if the season changed
+   */
+  updateSeason() {
+    const season = this.getSeason();
+    if (season === this.season) return;
+
+    const previous = this.season;
+    this.season = season;
+    this.emit("season", season, previous);
+  }
+
+  /**
+   * Get the season of a day
+   * @param {number} day - Day number (defaults to the current day)
+   * @returns {string} "spring", "summer", "autumn" or "winter"
+   */
+  getSeason(day = this.day) {
+    const index = Math.floor(day / this.daysPerSeason);
+    return Seasons.names[index % Seasons.names.length];
+  }
+
+  /**
+   * Get how far into the year the clock is
+   * @returns {number} Time of year (0-1, 0 is the first day of spring)
+   */
+  getYearProgress() {
+    const daysPerYear = this.daysPerSeason * Seasons.names.length;
+    const day = this.day + this.time / WorldClock.hoursPerDay;
+    return (day % daysPerYear) / daysPerYear;
+  }
+
+  /**
+   * Get the seasonal change of temperature
+   * @returns {number} Offset added to cell temperatures
+   */
+  getTemperatureOffset() {
+    return Seasons.getTemperatureOffset(this.getYearProgress());
+  }
+
+  /**
+   * Apply the seasonal change to a climate temperature
+   * @param {number} temperature - Climate temperature (0-1)
+   * @returns {number} Temperature at the current time of year (0-1)
+   */
+  getTemperature(temperature) {
+    return Math.max(0, Math.min(1, temperature + this.getTemperatureOffset()));
+  }
+
+  /**
+   * Get the phase at an hour
+   * @param {number} time - Hour of day (defaults to the current time)
+   * @returns {string} "dawn", "day", "dusk" or "night"
+   */
+  getPhase(time = this.time) {
+    let phase = WorldClock.phases[0].name;
+    for (const { name, start } of WorldClock.phases) {
+      if (time >= start) phase = name;
+    }
+    return phase;
+  }
+
+  /**
+   * Get the ambient light color
+   * @returns {Object} Object with r, g, b properties (0-255)
+   */
+  getAmbientColor() {
+    const ramp = WorldClock.ambient.map(([hour, color]) => [
+      hour / WorldClock.hoursPerDay,
+      color,
+    ]);
+    return Colors.sampleRamp(ramp, this.time / WorldClock.hoursPerDay);
+  }
+
+  /**
+   * Get how bright it is: 0 at night, 1 in full daylight
+   * @returns {number} Daylight (0-1)
+   */
+  getDaylight() {
+    const brightness = ({ r, g, b }) => (r + g + b) / 3;
+    const darkest = Math.min(
+      ...WorldClock.ambient.map(([, color]) => brightness(color))
+    );
+    const value = brightness(this.getAmbientColor());
+    return Math.max(0, Math.min(1, (value - darkest) / (255 - darkest)));
+  }
+
+  /**
+   * Format the time as HH:MM
+   * @returns {string} Time of day
+   */
+  getTimeString() {
+    const minutes = Math.floor(this.time * 60);
+    const pad = (value) => String(value).padStart(2, "0");
+    return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+  }
+
+  /**
+   * Get the state to keep in saves
+   * @returns {Object} {time, day, speed, dayLength, daysPerSeason}
+   */
+  serialize() {
+    return {
+      time: this.time,
+      day: this.day,
+      speed: this.speed,
+      dayLength: this.dayLength,
+      daysPerSeason: this.daysPerSeason,
+    };
+  }
+
+  /**
+   * Apply saved state without firing events
+   * @param {Object} data - State from serialize()
+   */
+  restoreState(data) {
+    this.time = data.time;
+    this.day = data.day;
+    this.speed = data.speed;
+    this.dayLength = data.dayLength;
+    this.daysPerSeason = data.daysPerSeason ?? this.daysPerSeason;
+    this.phase = this.getPhase();
+    this.season = this.getSeason();
+  }
+}
@@ -0,0 +1,123 @@
+import { Biomes } from "./Biomes.js";
+import { Seasons } from "./Seasons.js";
+
+/**
+ * Renders top-down images of the world into RGBA pixel buffers, without
+ * PIXI or the DOM. Generated cells use their own color; areas that were
+ * never generated fall back to TerrainGenerator.sampleOverview(), which is
+ * much cheaper than generating them. Images are filled row by row, so big
+ * maps can be spread over several frames.
+ */
+export class WorldMap {
+  constructor(world) {
+    this.world = world;
+  }
+
+  /**
+   * Get the map color of a cell
+   * @param {number} cellX - Cell X coordinate
+   * @param {number} cellY - Cell Y coordinate
+   * @returns {Object} Object with r, g, b properties (0-255)
+   */
+  getCellColor(cellX, cellY) {
+    const cell = this.world.grid.getLoadedCell(cellX, cellY);
+    if (cell) return cell.getColor();
+
+    const overview = this.world.grid.terrain.sampleOverview(cellX, cellY);
+    const clock = this.world.clock;
+    return Seasons.getColor(
+      Biomes.get(overview.biome),
+      overview.height,
+      clock.getTemperature(overview.temperature),
+      clock.season
+    );
+  }
+
+  /**
+   * Start rendering an image centered on a cell
+   * @param {Object} options - {centerX, centerY} in cells, cellsPerPixel,
+   *   width and height in pixels, and optionally a pixels buffer to reuse
+   * @returns {Object} Render job to pass to continueJob()
+   */
+  createJob(options) {
+    const { width, height } = options;
+    const size = width * height * 4;
+
+    return {
+      centerX: options.centerX,
+      centerY: options.centerY,
+      cellsPerPixel: options.cellsPerPixel || 1,
+      width,
+      height,
+      pixels:
+        options.pixels && options.pixels.length === size
+          ? options.pixels
+          : new Uint8Array(size),
+      row: 0,
+      done: false,
+    };
+  }
+
+  /**
+   * Render rows of a job until it is complete or the deadline is reached
+   * @param {Object} job - Job from createJob()
+   * @param {number} deadline - performance.now() timestamp to stop at
+   * @returns {boolean} Whether the image is complete
+   */
+  continueJob(job, deadline = Infinity) {
+    const pixels = job.pixels;
+
+    while (job.row < job.height) {
+      const { y: cellY } = this.pixelToCell(job, 0, job.row);
+      for (let x = 0; x < job.width; x++) {
+        const { x: cellX } = this.pixelToCell(job, x, job.row);
+        const color = this.getCellColor(cellX, cellY);
+
+        const index = (job.row * job.width + x) * 4;
+        pixels[index] = color.r;
+        pixels[index + 1] = color.g;
+        pixels[index + 2] = color.b;
+        pixels[index + 3] = 255;
+      }
+      job.row++;
+
+      if (performance.now() >= deadline) break;
+    }
+
+    job.done = job.row >= job.height;
+    return job.done;
+  }
+
+  /**
+   * Get the cell sampled for a pixel of a job's image
+   * @param {Object} job - Render job
+   * @param {number} pixelX - Pixel X coordinate
+   * @param {number} pixelY - Pixel Y coordinate
+   * @returns {Object} Cell coordinates {x, y}
+   */
+  pixelToCell(job, pixelX, pixelY) {
+    return {
+      x: Math.floor(
+        job.centerX + (pixelX + 0.5 - job.width / 2) * job.cellsPerPixel
+      ),
+      y: Math.floor(
+        job.centerY + (pixelY + 0.5 - job.height / 2) * job.cellsPerPixel
+      ),
+    };
+  }
+
+  /**
+   * Get the position of a world point on a job's image
+   * @param {Object} job - Render job
+   * @param {number} worldX - World X coordinate
+   * @param {number} worldY - World Y coordinate
+   * @returns {Object} Pixel coordinates {x, y} (may be outside the image)
+   */
+  worldToPixel(job, worldX, worldY) {
+    const cellSize = this.world.grid.cellSize;
+    return {
+      x: (worldX / cellSize - job.centerX) / job.cellsPerPixel + job.width / 2,
+      y: (worldY / cellSize - job.centerY) / job.cellsPerPixel + job.height / 2,
+    };
+  }
+}
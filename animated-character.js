@@ -1,3 +1,5 @@
+import * as PIXI from "pixi.js";
+
 /**
  * SISTEMA DE ANIMACIÓN DE PERSONAJES PARA PIXI.JS v8
  * ====================================================
@@ -26,7 +28,7 @@
  * - Un solo sprite que cambia sus texturas según la animación/dirección
  * - Cada animación tiene 4 direcciones: up, left, down, right
  */
-class AnimatedCharacter extends PIXI.AnimatedSprite {
+export class AnimatedCharacter extends PIXI.AnimatedSprite {
   static bigSpriteAnimationConfigs = {
     spellcast: {
       speed: 0.12,
@@ -622,7 +624,7 @@ class AnimatedCharacter extends PIXI.AnimatedSprite {
  * - Orden de filas: up, left, down, right
  * - Todos los frames del mismo tamaño
  */
-class TextureFactory {
+export class TextureFactory {
   /**
    * CREAR TEXTURAS DESDE SPRITESHEET
    * =================================
@@ -849,15 +851,3 @@ class TextureFactory {
     }
   }
 }
-
-// === EXPORTAR LAS CLASES ===
-
-// Hacer las clases disponibles globalmente o para importación
-if (typeof module !== "undefined" && module.exports) {
-  // Para Node.js / sistemas de módulos
-  module.exports = { AnimatedCharacter, TextureFactory };
-} else {
-  // Para uso directo en el navegador
-  window.AnimatedCharacter = AnimatedCharacter;
-  window.TextureFactory = TextureFactory;
-}
@@ -0,0 +1,36 @@
+/**
+ * PIXI-free part of the engine: world generation and simulation.
+ * Safe to import under Node or in a worker.
+ */
+
+// Randomness and noise
+export { SeededRandom } from "./seededRandom.js";
+export { NoiseGenerator } from "./noiseGenerator.js";
+export { PerlinNoise } from "./perlinNoise.js";
+export { SimplexNoise } from "./simplexNoise.js";
+
+// World generation and simulation
+export { Colors } from "./Colors.js";
+export { Biomes } from "./Biomes.js";
+export { TerrainOverlays } from "./TerrainOverlays.js";
+export { Autotiler } from "./Autotiler.js";
+export { Hydrology } from "./Hydrology.js";
+export { Erosion } from "./Erosion.js";
+export { TerrainGenerator } from "./TerrainGenerator.js";
+export { Cell } from "./Cell.js";
+export { Chunk } from "./Chunk.js";
+export { Grid } from "./Grid.js";
+export { MapExporter } from "./MapExporter.js";
+export { Camera } from "./Camera.js";
+export { WorldMap } from "./WorldMap.js";
+export { Seasons } from "./Seasons.js";
+export { WorldClock } from "./WorldClock.js";
+export { Weather } from "./Weather.js";
+export { World } from "./World.js";
+export { SaveManager } from "./SaveManager.js";
+
+// Entities
+export { Entity } from "./Entity.js";
+export { Tree } from "./Tree.js";
+export { Animal } from "./Animal.js";
+export { Player } from "./Player.js";
@@ -0,0 +1,15 @@
+/**
+ * Single entry point of the procedural map engine.
+ * Everything from core.js (which also runs under Node) plus the PIXI renderer.
+ */
+export * from "./core.js";
+
+// Rendering
+export { Game } from "./Game.js";
+export { Minimap, MapView } from "./Minimap.js";
+export { OverlayLegend } from "./OverlayLegend.js";
+export { Tileset } from "./Tileset.js";
+export { Lighting } from "./Lighting.js";
+export { WeatherRenderer } from "./WeatherRenderer.js";
+export { Inspector } from "./Inspector.js";
+export { AnimatedCharacter, TextureFactory } from "./animated-character.js";
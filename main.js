@@ -1,23 +1,54 @@
-// Main game instance
+import { Game, Player, Animal, TerrainOverlays, Inspector } from "./index.js";
+
+// Main game instance and the player it follows
 let game;
+let player;
+let inspector;
 
 // Wait for DOM to be loaded
 document.addEventListener("DOMContentLoaded", () => {
   initializeGame();
 });
 
+/**
+ * Read a seed from the URL. Integer seeds are numbers (like the random
+ * default shown in the debug panel), and SeededRandom hashes the number 123
+ * differently from the string "123", so they are converted back.
+ * @param {string|null} value - The ?seed= parameter
+ * @returns {number|string|undefined} Seed, or undefined for a random one
+ */
+function parseSeed(value) {
+  if (value === null) return undefined;
+  return /^-?\d+$/.test(value) ? Number(value) : value;
+}
+
 /**
  * Initialize the game and create demo entities
  */
 async function initializeGame() {
-  // Create the game instance with custom noise frequencies
+  // Create the game instance with a custom noise recipe per terrain layer
+  // A ?seed= URL parameter recreates a shared world
+  const params = new URLSearchParams(window.location.search);
+
   const gameOptions = {
+    seed: parseSeed(params.get("seed")),
     cellSize: 50,
-    noiseFrequencies: {
-      soilFertility: 0.11, // Medium frequency for soil fertility
-      height: 0.131, // Low frequency for large terrain features
-      temperature: 0.012, // High frequency for detailed temperature variation
+    noiseConfig: {
+      soilFertility: { frequency: 0.11, octaves: 3 }, // Medium frequency for soil fertility
+      height: { frequency: 0.131, octaves: 4, persistence: 0.5 }, // Large terrain features with detail
+      temperature: { frequency: 0.012, octaves: 2 }, // Broad temperature zones
+      moisture: { frequency: 0.03, octaves: 3 }, // Wet and dry regions for biomes
+      continent: { frequency: 0.004, strength: 0.4 }, // Oceans and landmasses
     },
+    // Island map: terrain sinks into the sea towards these bounds (in cells)
+    // worldBounds: { minX: -200, minY: -200, maxX: 200, maxY: 200 },
+    // Day/night cycle: seconds per in-game day, time multiplier, start hour
+    dayLength: 240,
+    timeSpeed: 1,
+    startTime: 8,
+    // Seasons: days in each one and the season of the first day
+    daysPerSeason: 3,
+    startSeason: "spring",
   };
 
   game = new Game(
@@ -26,10 +57,17 @@ async function initializeGame() {
     "gameCanvas",
     gameOptions
   );
+  console.log("World seed:", game.seed);
+
+  // Expose game instance to global scope for debugging
+  window.game = game;
 
   // Wait a bit for PIXI to initialize
   setTimeout(() => {
-    createDemoEntities();
+    // Continue from the quick save unless a seed was asked for
+    if (params.get("seed") !== null || !loadQuickSave()) {
+      createDemoEntities();
+    }
     setupInputHandlers();
     setupDebugPanel();
   }, 500);
@@ -43,24 +81,59 @@ function createDemoEntities() {
   const colors = [0xe74c3c, 0x3498db, 0x2ecc71, 0xf39c12, 0x9b59b6, 0xe67e22];
 
   // Create a player using the new Player class
-  const player = new Player(0, 0, game);
+  // (its reference is kept for input handling)
+  player = new Player(0, 0, game);
 
-  // Add player to the game's entities Set so it gets updated
+  // The camera follows the player smoothly, with a small dead-zone
+  game.camera.deadZone = { width: 60, height: 40 };
+  game.camera.follow(player, true);
 
-  // Store player reference for input handling
-  window.player = player;
+  // The player carries a torch, and a campfire burns nearby
+  player.setLight({ radius: 200, color: 0xffc870, flicker: 0.08 });
+  game.addLight({ x: 150, y: 100, radius: 160, color: 0xff8840, flicker: 0.3 });
 
   // Create some animals using the new Animal class
-  for (let i = 0; i < 10; i++) {
-    const x = (Math.random() - 0.5) * 500; // Random position from -250 to 250
-    const y = (Math.random() - 0.5) * 500; // Random position from -250 to 250
+  // Positions are rejected according to the animal density of their biome
+  let animalsCreated = 0;
+  for (let attempt = 0; attempt < 100 && animalsCreated < 10; attempt++) {
+    const x = game.random.range(-250, 250); // Random position from -250 to 250
+    const y = game.random.range(-250, 250); // Random position from -250 to 250
+    const cell = game.grid.getCellAtWorldPos(x, y);
+    if (game.random.next() >= cell.biome.animalDensity) continue;
+
     const animal = Animal.createRandom(x, y, game);
+    animalsCreated++;
 
     // Add animal to the game's entities Set so it gets updated
     game.animals.add(animal);
   }
 }
 
+/**
+ * Load the localStorage quick save, if there is one
+ * @returns {boolean} Whether a save was loaded
+ */
+function loadQuickSave() {
+  try {
+    if (!game.saveManager.loadFromLocalStorage()) return false;
+  } catch (error) {
+    console.error("Failed to load the quick save:", error);
+    return false;
+  }
+
+  onSaveLoaded();
+  return true;
+}
+
+/**
+ * Pick up the loaded player (the camera already follows it again)
+ */
+function onSaveLoaded() {
+  player = [...game.entities].find((entity) => entity instanceof Player);
+  game.camera.deadZone = { width: 60, height: 40 };
+  console.log("World loaded, seed:", game.seed);
+}
+
 /**
  * Setup input handlers for player movement
  */
@@ -83,7 +156,7 @@ function setupInputHandlers() {
     originalUpdate(deltaTime);
 
     // Handle player movement using the new Player class input system
-    if (window.player && window.player.active) {
+    if (player && player.active) {
       const input = {
         up: keys["KeyW"] || keys["ArrowUp"],
         down: keys["KeyS"] || keys["ArrowDown"],
@@ -91,13 +164,7 @@ function setupInputHandlers() {
         right: keys["KeyD"] || keys["ArrowRight"],
       };
 
-      window.player.handleInput(input);
-
-      // Make camera follow player
-      game.setCameraPosition(
-        window.player.position.x,
-        window.player.position.y
-      );
+      player.handleInput(input);
     }
   };
 
@@ -111,42 +178,143 @@ function setupInputHandlers() {
       );
     }
 
+    if (e.code === "KeyM") {
+      game.toggleMap();
+    }
+
+    if (e.code === "KeyT") {
+      console.log("Terrain style:", game.toggleTerrainStyle());
+    }
+
+    // Skip an hour of the day/night cycle; Shift+N skips a day
+    if (e.code === "KeyN") {
+      game.clock.setTime(game.clock.time + (e.shiftKey ? 24 : 1));
+    }
+
+    // Start a precipitation front over the camera
+    if (e.code === "KeyR") {
+      const camera = game.getCameraPosition();
+      game.weather.addFront(camera.x, camera.y);
+    }
+
+    // Cycle the terrain overlays; Shift+O shows or hides the legend
+    if (e.code === "KeyO") {
+      if (e.shiftKey) {
+        game.setOverlayLegendVisible(!game.showOverlayLegend);
+      } else {
+        console.log("Terrain overlay:", game.cycleOverlay());
+      }
+    }
+
+    if (e.code === "KeyE") {
+      exportViewRegion();
+    }
+
+    // Quick save and load; Shift+K downloads the save as a file instead
+    if (e.code === "KeyK") {
+      if (e.shiftKey) {
+        game.saveManager.downloadSave();
+      } else {
+        game.saveManager.saveToLocalStorage();
+        console.log("World saved");
+      }
+    }
+
+    if (e.code === "KeyL") {
+      loadQuickSave();
+    }
+
+    // Harvest the trees next to the player
+    if (e.code === "KeyH" && player) {
+      game
+        .getEntitiesInRadius(player.position.x, player.position.y, 60)
+        .forEach((entity) => {
+          if (game.trees.has(entity)) console.log(entity.harvest());
+        });
+    }
+
     // Plant L-system plant on spacebar press
-    if (e.code === "Space" && window.player) {
+    if (e.code === "Space" && player) {
       e.preventDefault(); // Prevent page scroll
-      const seed = Math.random() * 1000000; // Generate random seed
+      const seed = game.random.int(0, 1000000); // Generate plant seed from the world seed
       const plant = new LSystemPlant(
-        window.player.position.x,
-        window.player.position.y,
+        player.position.x,
+        player.position.y,
         game,
         seed
       );
       console.log(
         "L-system plant planted at player position:",
-        window.player.position.x,
-        window.player.position.y
+        player.position.x,
+        player.position.y
       );
 
       plant.container.scale.set(0.5);
     }
   });
 
-  // Mouse click to create animals
+  // Drop a downloaded save file on the game to load it
+  game.app.canvas.addEventListener("dragover", (e) => e.preventDefault());
+  game.app.canvas.addEventListener("drop", async (e) => {
+    e.preventDefault();
+    const file = e.dataTransfer.files[0];
+    if (!file) return;
+
+    try {
+      await game.saveManager.loadFromFile(file);
+      onSaveLoaded();
+    } catch (error) {
+      console.error("Failed to load save file:", error);
+    }
+  });
+
+  // Click to inspect a cell or entity
+  inspector = new Inspector(game);
   game.app.canvas.addEventListener("click", (e) => {
+    // Clicks on the world map are for dragging it
+    if (game.mapView && game.mapView.visible) return;
+
     const rect = game.app.canvas.getBoundingClientRect();
     const screenX = e.clientX - rect.left;
     const screenY = e.clientY - rect.top;
 
-    const worldPos = game.screenToWorld(screenX, screenY);
-
-    // Get the cell at the clicked position
-    const cell = game.grid.getCellAtWorldPos(worldPos.x, worldPos.y);
+    inspector.inspectAt(screenX, screenY);
+  });
+}
 
-    // Console log the cell information
-    console.log(cell);
+/**
+ * Download a color map, a heightmap and a JSON dump of the 128x128 cells
+ * around the camera
+ */
+function exportViewRegion() {
+  const camera = game.getCameraPosition();
+  const { cellX, cellY } = game.grid.worldToCell(camera.x, camera.y);
+  const region = { x: cellX - 64, y: cellY - 64, width: 128, height: 128 };
+  const name = `map_${game.seed}_${region.x}_${region.y}`;
+
+  // One export call reads the region once for all three files
+  const [colors, heights, data] = game.grid.exportRegion(region, [
+    "png",
+    "height",
+    "json",
+  ]);
+  downloadFile(colors, `${name}.png`);
+  downloadFile(heights, `${name}_height.png`);
+  downloadFile(JSON.stringify(data), `${name}.json`);
+}
 
-    // game.spawnPlant(worldPos.x, worldPos.y);
-  });
+/**
+ * Save data as a file through the browser
+ * @param {Uint8Array|string} data - File contents
+ * @param {string} filename - Suggested file name
+ */
+function downloadFile(data, filename) {
+  const url = URL.createObjectURL(new Blob([data]));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
 }
 
 /**
@@ -171,6 +339,12 @@ function setupDebugPanel() {
     `;
   document.body.appendChild(debugPanel);
 
+  // Overlay buttons are rebuilt with the panel, so listen on the panel
+  debugPanel.addEventListener("click", (e) => {
+    const overlay = e.target.dataset && e.target.dataset.overlay;
+    if (overlay) game.setOverlay(overlay);
+  });
+
   // Update debug info every second
   setInterval(() => {
     if (game && game.running) {
@@ -178,34 +352,64 @@ function setupDebugPanel() {
 
       let html = "<h3>Debug Information</h3>";
       html += `<div>FPS: ${debugInfo.fps}</div>`;
+      html += `<div>Seed: ${debugInfo.seed}</div>`;
+      html += `<div>Time: day ${debugInfo.clock.day + 1}, ${
+        debugInfo.clock.time
+      } (${debugInfo.clock.phase}, ${debugInfo.clock.season})</div>`;
+      html += `<div>Weather: ${debugInfo.weather.precipitation}, wind ${debugInfo.weather.wind}, fog ${debugInfo.weather.fog} (${debugInfo.weather.fronts} fronts)</div>`;
       html += `<div>Entities: ${debugInfo.entities} (${debugInfo.activeEntities} active)</div>`;
       html += `<div>Plants: ${game.plants.size}</div>`;
       html += `<div>Grid Cells: ${debugInfo.grid.totalCells}</div>`;
+      html += `<div>Chunks: ${debugInfo.grid.loadedChunks} loaded, ${debugInfo.grid.queuedChunks} queued</div>`;
+      if (debugInfo.renderer) {
+        html += `<div>Chunk Textures: ${debugInfo.renderer.visibleChunks} visible, ${debugInfo.renderer.cachedChunks} cached</div>`;
+      }
       html += `<div>Grid Entities: ${debugInfo.grid.totalEntities}</div>`;
       html += `<div>Camera: (${debugInfo.camera.x.toFixed(
         1
-      )}, ${debugInfo.camera.y.toFixed(1)})</div>`;
+      )}, ${debugInfo.camera.y.toFixed(1)}) x${debugInfo.camera.zoom.toFixed(
+        2
+      )}</div>`;
 
-      if (window.player) {
-        const playerDebug = window.player.getDebugInfo();
+      if (player) {
+        const playerDebug = player.getDebugInfo();
         html += `<div>Player: (${playerDebug.position.x.toFixed(
           1
         )}, ${playerDebug.position.y.toFixed(1)})</div>`;
         if (playerDebug.currentCell) {
           html += `<div>Player Cell: ${playerDebug.currentCell.key}</div>`;
+          if (player.currentCell) {
+            html += `<div>Biome: ${player.currentCell.biome.name}</div>`;
+          }
         }
       }
 
+      html += '<div style="margin-top: 10px;">Overlay:</div><div>';
+      TerrainOverlays.table.forEach((overlay) => {
+        const current = overlay.name === game.overlay;
+        html += `<button data-overlay="${overlay.name}" style="margin: 2px; ${
+          current ? "font-weight: bold;" : ""
+        }">${overlay.label}</button>`;
+      });
+      html += "</div>";
+
       html += '<div style="margin-top: 10px;">Controls:</div>';
       html += "<div>WASD/Arrows: Move player</div>";
-      html += "<div>Click: Create animal</div>";
+      html += "<div>Mouse wheel/Pinch: Zoom</div>";
+      html += "<div>Click: Inspect cell or entity</div>";
       html += "<div>Spacebar: Plant L-system plant</div>";
       html += "<div>F: Toggle flow field visualization</div>";
+      html += "<div>O: Next terrain overlay (Shift+O: legend)</div>";
+      html += "<div>T: Toggle tiled/flat color terrain</div>";
+      html += "<div>N: Skip one hour (Shift+N: one day)</div>";
+      html += "<div>R: Start rain or snow here</div>";
+      html += "<div>M: Toggle world map (drag to pan)</div>";
+      html += "<div>E: Export the area around the camera</div>";
+      html += "<div>H: Harvest nearby trees</div>";
+      html +=
+        "<div>K: Quick save (Shift+K: download), L: Load, drop a file to load</div>";
 
       debugPanel.innerHTML = html;
     }
   }, 1000);
 }
-
-// Expose game instance to global scope for debugging
-window.game = game;
@@ -0,0 +1,167 @@
+import { SeededRandom } from "./seededRandom.js";
+
+/**
+ * Common interface for seedable gradient noise generators.
+ * Subclasses implement noise2D() and noise3D() returning values in [-1, 1];
+ * this class provides the 0-1 noise() helper and the fractal variants.
+ */
+export class NoiseGenerator {
+  constructor(seed = 0) {
+    this.seed = seed;
+
+    // Permutation table shuffled by the seed, doubled to avoid index wrapping
+    const random = new SeededRandom(seed);
+    const permutation = new Uint8Array(256);
+    for (let i = 0; i < 256; i++) {
+      permutation[i] = i;
+    }
+    for (let i = 255; i > 0; i--) {
+      const j = Math.floor(random.next() * (i + 1));
+      const temp = permutation[i];
+      permutation[i] = permutation[j];
+      permutation[j] = temp;
+    }
+
+    this.perm = new Uint8Array(512);
+    for (let i = 0; i < 512; i++) {
+      this.perm[i] = permutation[i & 255];
+    }
+  }
+
+  /**
+   * Signed 2D noise (implemented by subclasses)
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {number} Noise value in the -1 to 1 range
+   */
+  noise2D(x, y) {
+    throw new Error(`${this.constructor.name} does not implement noise2D()`);
+  }
+
+  /**
+   * Signed 3D noise (implemented by subclasses)
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {number} z - Z coordinate (e.g. time for animated fields)
+   * @returns {number} Noise value in the -1 to 1 range
+   */
+  noise3D(x, y, z) {
+    throw new Error(`${this.constructor.name} does not implement noise3D()`);
+  }
+
+  /**
+   * Generate a noise value at coordinates (x, y) or (x, y, z)
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {number} z - Optional Z coordinate; uses 3D noise when given
+   * @returns {number} Noise value in the 0-1 range
+   */
+  noise(x, y, z) {
+    // Nothing is cached: recomputing from the permutation table is cheap
+    // and keeps memory flat however far the world is explored
+    const value = z === undefined ? this.noise2D(x, y) : this.noise3D(x, y, z);
+
+    // Normalize to 0-1 range
+    return Math.max(0, Math.min(1, (value + 1) / 2));
+  }
+
+  /**
+   * Get the sampling offset used for a given octave. Offsets keep the
+   * lattice of every octave from lining up at the origin.
+   * @param {number} octave - Octave index
+   * @param {Array} offsets - Optional explicit offsets [{x, y}, ...]
+   * @returns {Object} Offset {x, y}
+   */
+  getOctaveOffset(octave, offsets = null) {
+    if (offsets && offsets[octave]) {
+      return offsets[octave];
+    }
+
+    if (octave === 0) {
+      return { x: 0, y: 0 };
+    }
+
+    return {
+      x: (SeededRandom.hash(this.seed, octave, 0) / 4294967296) * 1000,
+      y: (SeededRandom.hash(this.seed, octave, 1) / 4294967296) * 1000,
+    };
+  }
+
+  /**
+   * Sum several octaves of noise shaped by a per-octave function
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {Object} options - Fractal options
+   * @param {number} options.octaves - Number of octaves (default: 4)
+   * @param {number} options.lacunarity - Frequency multiplier per octave (default: 2)
+   * @param {number} options.persistence - Amplitude multiplier per octave (default: 0.5)
+   * @param {Array} options.offsets - Optional per-octave offsets [{x, y}, ...]
+   * @param {number} options.z - Optional third coordinate (e.g. time) for 3D noise
+   * @param {Function} shape - Maps a 0-1 noise sample to a 0-1 octave value
+   * @returns {number} Noise value in the 0-1 range
+   */
+  fractal(x, y, options = {}, shape = (n) => n) {
+    const octaves = Math.max(1, Math.floor(options.octaves ?? 4));
+    const lacunarity = options.lacunarity ?? 2;
+    const persistence = options.persistence ?? 0.5;
+    const z = options.z;
+
+    let frequency = 1;
+    let amplitude = 1;
+    let total = 0;
+    let totalAmplitude = 0;
+
+    for (let octave = 0; octave < octaves; octave++) {
+      const offset = this.getOctaveOffset(octave, options.offsets);
+      const sample = this.noise(
+        x * frequency + offset.x,
+        y * frequency + offset.y,
+        z === undefined ? undefined : z * frequency
+      );
+
+      total += shape(sample) * amplitude;
+      totalAmplitude += amplitude;
+
+      frequency *= lacunarity;
+      amplitude *= persistence;
+    }
+
+    return totalAmplitude > 0 ? total / totalAmplitude : 0;
+  }
+
+  /**
+   * Fractal Brownian motion (standard layered noise)
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {Object} options - See fractal()
+   * @returns {number} Noise value in the 0-1 range
+   */
+  fbm(x, y, options = {}) {
+    return this.fractal(x, y, options);
+  }
+
+  /**
+   * Ridged noise: sharp crests where the signed noise crosses zero
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {Object} options - See fractal()
+   * @returns {number} Noise value in the 0-1 range
+   */
+  ridged(x, y, options = {}) {
+    return this.fractal(x, y, options, (n) => {
+      const ridge = 1 - Math.abs(n * 2 - 1);
+      return ridge * ridge;
+    });
+  }
+
+  /**
+   * Billow noise: rounded, puffy shapes (absolute value of signed noise)
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {Object} options - See fractal()
+   * @returns {number} Noise value in the 0-1 range
+   */
+  billow(x, y, options = {}) {
+    return this.fractal(x, y, options, (n) => Math.abs(n * 2 - 1));
+  }
+}
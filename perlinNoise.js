@@ -1,76 +1,140 @@
+import { NoiseGenerator } from "./noiseGenerator.js";
+
 /**
- * Simple Perlin noise implementation
+ * Seedable Perlin noise (Ken Perlin's "improved noise") using a permutation table
  */
-class PerlinNoise {
-  constructor(seed = Math.random()) {
-    this.seed = seed;
-    this.gradients = {};
-    this.memory = {};
+export class PerlinNoise extends NoiseGenerator {
+  constructor(seed = 0) {
+    super(seed);
   }
 
-  // Generate a pseudo-random gradient vector
-  randomGradient(ix, iy) {
-    const key = `${ix},${iy}`;
-    if (this.gradients[key]) {
-      return this.gradients[key];
-    }
-
-    // Use a simple hash function based on coordinates and seed
-    const hash =
-      (ix * 374761393 + iy * 668265263 + this.seed * 1000) % 2147483647;
-    const angle = (hash / 2147483647) * 2 * Math.PI;
-
-    const gradient = {
-      x: Math.cos(angle),
-      y: Math.sin(angle),
-    };
+  // Quintic fade curve 6t^5 - 15t^4 + 10t^3
+  fade(t) {
+    return t * t * t * (t * (t * 6 - 15) + 10);
+  }
 
-    this.gradients[key] = gradient;
-    return gradient;
+  // Linear interpolation between a and b
+  lerp(a, b, t) {
+    return a + t * (b - a);
   }
 
-  // Compute dot product of distance and gradient vectors
-  dotGridGradient(ix, iy, x, y) {
-    const gradient = this.randomGradient(ix, iy);
-    const dx = x - ix;
-    const dy = y - iy;
-    return dx * gradient.x + dy * gradient.y;
+  // Dot product of the distance vector with one of 8 gradients picked by hash
+  grad2D(hash, x, y) {
+    switch (hash & 7) {
+      case 0:
+        return x + y;
+      case 1:
+        return -x + y;
+      case 2:
+        return x - y;
+      case 3:
+        return -x - y;
+      case 4:
+        return x;
+      case 5:
+        return -x;
+      case 6:
+        return y;
+      default:
+        return -y;
+    }
   }
 
-  // Interpolate between a0 and a1 with weight w
-  interpolate(a0, a1, w) {
-    return (a1 - a0) * (3.0 - w * 2.0) * w * w + a0;
+  // Dot product of the distance vector with one of 12 cube-edge gradients
+  grad3D(hash, x, y, z) {
+    const h = hash & 15;
+    const u = h < 8 ? x : y;
+    const v = h < 4 ? y : h === 12 || h === 14 ? x : z;
+    return ((h & 1) === 0 ? u : -u) + ((h & 2) === 0 ? v : -v);
   }
 
-  // Generate Perlin noise value at coordinates (x, y)
-  noise(x, y) {
-    const key = `${x},${y}`;
-    if (this.memory[key] !== undefined) {
-      return this.memory[key];
-    }
+  // Generate signed Perlin noise at coordinates (x, y)
+  noise2D(x, y) {
+    const floorX = Math.floor(x);
+    const floorY = Math.floor(y);
+    const X = floorX & 255;
+    const Y = floorY & 255;
+
+    const xf = x - floorX;
+    const yf = y - floorY;
+
+    const u = this.fade(xf);
+    const v = this.fade(yf);
 
-    const x0 = Math.floor(x);
-    const x1 = x0 + 1;
-    const y0 = Math.floor(y);
-    const y1 = y0 + 1;
+    const perm = this.perm;
+    const aa = perm[perm[X] + Y];
+    const ab = perm[perm[X] + Y + 1];
+    const ba = perm[perm[X + 1] + Y];
+    const bb = perm[perm[X + 1] + Y + 1];
 
-    const sx = x - x0;
-    const sy = y - y0;
+    const x1 = this.lerp(
+      this.grad2D(aa, xf, yf),
+      this.grad2D(ba, xf - 1, yf),
+      u
+    );
+    const x2 = this.lerp(
+      this.grad2D(ab, xf, yf - 1),
+      this.grad2D(bb, xf - 1, yf - 1),
+      u
+    );
+
+    // Diagonal gradients reach about +-1, so this is already close to [-1, 1]
+    return this.lerp(x1, x2, v);
+  }
 
-    const n0 = this.dotGridGradient(x0, y0, x, y);
-    const n1 = this.dotGridGradient(x1, y0, x, y);
-    const ix0 = this.interpolate(n0, n1, sx);
+  // Generate signed Perlin noise at coordinates (x, y, z)
+  noise3D(x, y, z) {
+    const floorX = Math.floor(x);
+    const floorY = Math.floor(y);
+    const floorZ = Math.floor(z);
+    const X = floorX & 255;
+    const Y = floorY & 255;
+    const Z = floorZ & 255;
 
-    const n2 = this.dotGridGradient(x0, y1, x, y);
-    const n3 = this.dotGridGradient(x1, y1, x, y);
-    const ix1 = this.interpolate(n2, n3, sx);
+    const xf = x - floorX;
+    const yf = y - floorY;
+    const zf = z - floorZ;
 
-    const value = this.interpolate(ix0, ix1, sy);
+    const u = this.fade(xf);
+    const v = this.fade(yf);
+    const w = this.fade(zf);
 
-    // Normalize to 0-1 range
-    const normalized = (value + 1) / 2;
-    this.memory[key] = Math.max(0, Math.min(1, normalized));
+    const perm = this.perm;
+    const a = perm[X] + Y;
+    const aa = perm[a] + Z;
+    const ab = perm[a + 1] + Z;
+    const b = perm[X + 1] + Y;
+    const ba = perm[b] + Z;
+    const bb = perm[b + 1] + Z;
 
-    return this.memory[key];
+    return this.lerp(
+      this.lerp(
+        this.lerp(
+          this.grad3D(perm[aa], xf, yf, zf),
+          this.grad3D(perm[ba], xf - 1, yf, zf),
+          u
+        ),
+        this.lerp(
+          this.grad3D(perm[ab], xf, yf - 1, zf),
+          this.grad3D(perm[bb], xf - 1, yf - 1, zf),
+          u
+        ),
+        v
+      ),
+      this.lerp(
+        this.lerp(
+          this.grad3D(perm[aa + 1], xf, yf, zf - 1),
+          this.grad3D(perm[ba + 1], xf - 1, yf, zf - 1),
+          u
+        ),
+        this.lerp(
+          this.grad3D(perm[ab + 1], xf, yf - 1, zf - 1),
+          this.grad3D(perm[bb + 1], xf - 1, yf - 1, zf - 1),
+          u
+        ),
+        v
+      ),
+      w
+    );
   }
 }
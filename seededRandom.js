@@ -0,0 +1,102 @@
+/**
+ * Seedable pseudo-random number generator (mulberry32)
+ * Used instead of Math.random() so a world seed always produces the same world
+ */
+export class SeededRandom {
+  constructor(seed = 0) {
+    this.seed = seed;
+    this.state = SeededRandom.hashSeed(seed);
+  }
+
+  /**
+   * Turn any seed (number or string) into a 32-bit unsigned integer
+   * @param {number|string} seed - Seed value
+   * @returns {number} 32-bit unsigned integer
+   */
+  static hashSeed(seed) {
+    if (typeof seed === "number" && Number.isInteger(seed)) {
+      return seed >>> 0;
+    }
+
+    // Strings and fractional numbers are hashed character by character (xmur3)
+    const text = String(seed);
+    let hash = 1779033703 ^ text.length;
+    for (let i = 0; i < text.length; i++) {
+      hash = Math.imul(hash ^ text.charCodeAt(i), 3432918353);
+      hash = (hash << 13) | (hash >>> 19);
+    }
+    hash = Math.imul(hash ^ (hash >>> 16), 2246822507);
+    hash = Math.imul(hash ^ (hash >>> 13), 3266489909);
+    return (hash ^ (hash >>> 16)) >>> 0;
+  }
+
+  /**
+   * Combine a seed with any number of integers (e.g. cell coordinates)
+   * into a new 32-bit seed. Same inputs always give the same output.
+   * @param {number|string} seed - Base seed
+   * @param {...number} values - Integers to mix in
+   * @returns {number} 32-bit unsigned integer
+   */
+  static hash(seed, ...values) {
+    let hash = SeededRandom.hashSeed(seed);
+    for (const value of values) {
+      hash = Math.imul(hash ^ (value | 0), 0x85ebca6b);
+      hash = (hash << 13) | (hash >>> 19);
+      hash = Math.imul(hash ^ (hash >>> 16), 0xc2b2ae35);
+    }
+    hash ^= hash >>> 15;
+    return hash >>> 0;
+  }
+
+  /**
+   * Create a generator bound to a pair of coordinates
+   * @param {number|string} seed - World seed
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {SeededRandom} Generator that depends only on seed and coordinates
+   */
+  static forCoords(seed, x, y) {
+    return new SeededRandom(SeededRandom.hash(seed, x, y));
+  }
+
+  /**
+   * Get the next random number
+   * @returns {number} Float in the range [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Get a random float between min and max
+   * @param {number} min - Minimum value (inclusive)
+   * @param {number} max - Maximum value (exclusive)
+   * @returns {number} Random float
+   */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * Get a random integer between min and max
+   * @param {number} min - Minimum value (inclusive)
+   * @param {number} max - Maximum value (inclusive)
+   * @returns {number} Random integer
+   */
+  int(min, max) {
+    return min + Math.floor(this.next() * (max - min + 1));
+  }
+
+  /**
+   * Pick a random element of an array
+   * @param {Array} array - Array to pick from
+   * @returns {*} Random element
+   */
+  pick(array) {
+    return array[Math.floor(this.next() * array.length)];
+  }
+}
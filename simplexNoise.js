@@ -0,0 +1,155 @@
+import { NoiseGenerator } from "./noiseGenerator.js";
+
+/**
+ * Seedable Simplex noise (2D and 3D), based on Stefan Gustavson's reference
+ * implementation. Fewer directional artifacts than Perlin and cheaper in 3D.
+ */
+export class SimplexNoise extends NoiseGenerator {
+  // Gradient directions towards the edges of a cube
+  static gradients3 = [
+    [1, 1, 0],
+    [-1, 1, 0],
+    [1, -1, 0],
+    [-1, -1, 0],
+    [1, 0, 1],
+    [-1, 0, 1],
+    [1, 0, -1],
+    [-1, 0, -1],
+    [0, 1, 1],
+    [0, -1, 1],
+    [0, 1, -1],
+    [0, -1, -1],
+  ];
+
+  // Skewing and unskewing factors
+  static F2 = 0.5 * (Math.sqrt(3) - 1);
+  static G2 = (3 - Math.sqrt(3)) / 6;
+  static F3 = 1 / 3;
+  static G3 = 1 / 6;
+
+  constructor(seed = 0) {
+    super(seed);
+
+    // Gradient index for every permutation entry
+    this.permMod12 = new Uint8Array(512);
+    for (let i = 0; i < 512; i++) {
+      this.permMod12[i] = this.perm[i] % 12;
+    }
+  }
+
+  // Generate signed Simplex noise at coordinates (x, y)
+  noise2D(x, y) {
+    const { F2, G2, gradients3 } = SimplexNoise;
+    const perm = this.perm;
+    const permMod12 = this.permMod12;
+
+    // Skew the input space to find the simplex cell
+    const s = (x + y) * F2;
+    const i = Math.floor(x + s);
+    const j = Math.floor(y + s);
+    const t = (i + j) * G2;
+    const x0 = x - (i - t);
+    const y0 = y - (j - t);
+
+    // Which of the two triangles of the cell we are in
+    const i1 = x0 > y0 ? 1 : 0;
+    const j1 = x0 > y0 ? 0 : 1;
+
+    const x1 = x0 - i1 + G2;
+    const y1 = y0 - j1 + G2;
+    const x2 = x0 - 1 + 2 * G2;
+    const y2 = y0 - 1 + 2 * G2;
+
+    const ii = i & 255;
+    const jj = j & 255;
+
+    // Contribution of each of the three corners
+    let n0 = 0;
+    let n1 = 0;
+    let n2 = 0;
+
+    let t0 = 0.5 - x0 * x0 - y0 * y0;
+    if (t0 > 0) {
+      const g = gradients3[permMod12[ii + perm[jj]]];
+      t0 *= t0;
+      n0 = t0 * t0 * (g[0] * x0 + g[1] * y0);
+    }
+
+    let t1 = 0.5 - x1 * x1 - y1 * y1;
+    if (t1 > 0) {
+      const g = gradients3[permMod12[ii + i1 + perm[jj + j1]]];
+      t1 *= t1;
+      n1 = t1 * t1 * (g[0] * x1 + g[1] * y1);
+    }
+
+    let t2 = 0.5 - x2 * x2 - y2 * y2;
+    if (t2 > 0) {
+      const g = gradients3[permMod12[ii + 1 + perm[jj + 1]]];
+      t2 *= t2;
+      n2 = t2 * t2 * (g[0] * x2 + g[1] * y2);
+    }
+
+    // Scale the result to cover [-1, 1]
+    return 70 * (n0 + n1 + n2);
+  }
+
+  // Generate signed Simplex noise at coordinates (x, y, z)
+  noise3D(x, y, z) {
+    const { F3, G3, gradients3 } = SimplexNoise;
+    const perm = this.perm;
+    const permMod12 = this.permMod12;
+
+    // Skew the input space to find the simplex cell
+    const s = (x + y + z) * F3;
+    const i = Math.floor(x + s);
+    const j = Math.floor(y + s);
+    const k = Math.floor(z + s);
+    const t = (i + j + k) * G3;
+    const x0 = x - (i - t);
+    const y0 = y - (j - t);
+    const z0 = z - (k - t);
+
+    // Which of the six tetrahedra of the cell we are in
+    let i1, j1, k1, i2, j2, k2;
+    if (x0 >= y0) {
+      if (y0 >= z0) {
+        [i1, j1, k1, i2, j2, k2] = [1, 0, 0, 1, 1, 0];
+      } else if (x0 >= z0) {
+        [i1, j1, k1, i2, j2, k2] = [1, 0, 0, 1, 0, 1];
+      } else {
+        [i1, j1, k1, i2, j2, k2] = [0, 0, 1, 1, 0, 1];
+      }
+    } else if (y0 < z0) {
+      [i1, j1, k1, i2, j2, k2] = [0, 0, 1, 0, 1, 1];
+    } else if (x0 < z0) {
+      [i1, j1, k1, i2, j2, k2] = [0, 1, 0, 0, 1, 1];
+    } else {
+      [i1, j1, k1, i2, j2, k2] = [0, 1, 0, 1, 1, 0];
+    }
+
+    const corners = [
+      [x0, y0, z0, 0, 0, 0],
+      [x0 - i1 + G3, y0 - j1 + G3, z0 - k1 + G3, i1, j1, k1],
+      [x0 - i2 + 2 * G3, y0 - j2 + 2 * G3, z0 - k2 + 2 * G3, i2, j2, k2],
+      [x0 - 1 + 3 * G3, y0 - 1 + 3 * G3, z0 - 1 + 3 * G3, 1, 1, 1],
+    ];
+
+    const ii = i & 255;
+    const jj = j & 255;
+    const kk = k & 255;
+
+    // Add up the contribution of each of the four corners
+    let total = 0;
+    for (const [cx, cy, cz, di, dj, dk] of corners) {
+      let falloff = 0.6 - cx * cx - cy * cy - cz * cz;
+      if (falloff <= 0) continue;
+
+      const g = gradients3[permMod12[ii + di + perm[jj + dj + perm[kk + dk]]]];
+      falloff *= falloff;
+      total += falloff * falloff * (g[0] * cx + g[1] * cy + g[2] * cz);
+    }
+
+    // Scale the result to cover [-1, 1]
+    return 32 * total;
+  }
+}
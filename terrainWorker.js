@@ -0,0 +1,37 @@
+/**
+ * Module Web Worker that generates chunk terrain off the main thread.
+ *
+ * Messages in:
+ *   { type: "init", seed, noiseConfig, options }
+ *   { type: "generate", chunkX, chunkY, size }
+ * Messages out:
+ *   { type: "chunk", data } where data comes from TerrainGenerator.generateChunkData()
+ */
+import { TerrainGenerator } from "./TerrainGenerator.js";
+
+let terrainGenerator = null;
+
+self.onmessage = (event) => {
+  const message = event.data;
+
+  if (message.type === "init") {
+    terrainGenerator = new TerrainGenerator(
+      message.seed,
+      message.noiseConfig,
+      message.options
+    );
+    return;
+  }
+
+  if (message.type === "generate" && terrainGenerator) {
+    const data = terrainGenerator.generateChunkData(
+      message.chunkX,
+      message.chunkY,
+      message.size
+    );
+    self.postMessage(
+      { type: "chunk", data },
+      TerrainGenerator.getTransferables(data)
+    );
+  }
+};
@@ -0,0 +1,132 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { TerrainGenerator, World } from "../core.js";
+
+test("the terrain worker sends back the main thread's chunk data", async () => {
+  const terrain = new TerrainGenerator(42);
+
+  // Stand-in for the worker's global scope
+  const messages = [];
+  globalThis.self = {
+    postMessage: (message, transfer) => messages.push({ message, transfer }),
+  };
+  try {
+    await import("../terrainWorker.js");
+    self.onmessage({
+      data: { type: "init", seed: 42, noiseConfig: terrain.noiseConfig },
+    });
+    self.onmessage({
+      data: { type: "generate", chunkX: 1, chunkY: -2, size: 16 },
+    });
+  } finally {
+    delete globalThis.self;
+  }
+
+  assert.equal(messages.length, 1);
+  const { message, transfer } = messages[0];
+  assert.equal(message.type, "chunk");
+  assert.deepEqual(message.data, terrain.generateChunkData(1, -2, 16));
+  // Every typed array is transferred instead of copied
+  assert.deepEqual(transfer, TerrainGenerator.getTransferables(message.data));
+});
+
+test("chunk data matches cells sampled one at a time", () => {
+  const terrain = new TerrainGenerator(7);
+  const size = 16;
+  const data = terrain.generateChunkData(-1, 2, size);
+
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const index = y * size + x;
+      const cell = terrain.sampleCell(-size + x, 2 * size + y);
+      assert.equal(data.height[index], cell.height);
+      assert.equal(data.soilFertility[index], cell.soilFertility);
+      assert.equal(data.temperature[index], cell.temperature);
+      assert.equal(data.biome[index], cell.biome);
+    }
+  }
+});
+
+test("flow directions do not depend on where the chunk edges are", () => {
+  const terrain = new TerrainGenerator(3);
+  // Chunk 1 of size 16 is the right half of chunk 0 of size 32
+  const small = terrain.generateChunkData(1, 0, 16);
+  const large = terrain.generateChunkData(0, 0, 32);
+
+  for (let y = 0; y < 16; y++) {
+    for (let x = 0; x < 16; x++) {
+      const index = y * 32 + x + 16;
+      assert.equal(small.flowX[y * 16 + x], large.flowX[index]);
+      assert.equal(small.flowY[y * 16 + x], large.flowY[index]);
+    }
+  }
+});
+
+const createWorld = () =>
+  new World({ seed: 7, cellSize: 20, chunkLoadRadius: 1, useWorker: false });
+
+const terrainOf = (cell) => [
+  cell.height,
+  cell.temperature,
+  cell.moisture,
+  cell.soilFertility,
+  cell.biome.name,
+  cell.flowAccumulation,
+  cell.flowDirection.x,
+  cell.flowDirection.y,
+];
+
+// A cell of a world streamed around it
+const streamedCell = (cellX, cellY) => {
+  const world = createWorld();
+  world.grid.updateStreaming(cellX * 20, cellY * 20, Infinity);
+  return world.grid.getCell(cellX, cellY);
+};
+
+test("without a worker, new cells wait for their chunk's turn in the queue", () => {
+  const world = createWorld();
+  const grid = world.grid;
+
+  // Far from the camera, so only getCell() asks for this chunk
+  const cell = grid.getCell(85, 89);
+  assert.equal(cell.provisional, true);
+  assert.equal(cell.chunk.terrainData, null);
+  assert.equal(cell.chunk.state, "queued");
+  assert.deepEqual(grid.chunkLoadQueue, [cell.chunk]);
+
+  grid.updateStreaming(1700, 1780, Infinity);
+  assert.equal(cell.provisional, false);
+  assert.equal(cell.chunk.state, "loaded");
+
+  const expected = streamedCell(85, 89);
+  assert.deepEqual(terrainOf(cell), terrainOf(expected));
+  assert.equal(cell.trees.size, expected.trees.size);
+});
+
+test("with a worker, new cells wait for their chunk's data", () => {
+  const world = createWorld();
+  const grid = world.grid;
+  const messages = [];
+  grid.terrainWorker = { postMessage: (message) => messages.push(message) };
+
+  const cell = grid.getCell(40, 40);
+  assert.equal(cell.provisional, true);
+  assert.equal(cell.trees.size, 0);
+  assert.equal(cell.chunk.state, "generating");
+  assert.deepEqual(
+    messages.map(({ type, chunkX, chunkY }) => [type, chunkX, chunkY]),
+    [["generate", 2, 2]]
+  );
+
+  // Asking again does not request the chunk twice
+  grid.getCell(41, 40);
+  assert.equal(messages.length, 1);
+
+  grid.receiveChunkData(grid.terrain.generateChunkData(2, 2, grid.chunkSize));
+  assert.equal(cell.provisional, false);
+  assert.equal(cell.chunk.state, "queued");
+
+  const expected = streamedCell(40, 40);
+  assert.deepEqual(terrainOf(cell), terrainOf(expected));
+  assert.equal(cell.trees.size, expected.trees.size);
+});
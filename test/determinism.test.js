@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { World, Animal } from "../core.js";
+
+/**
+ * Create a headless world and stream the chunks around the origin
+ * @param {number|string} seed - World seed
+ * @returns {World} The world
+ */
+function createWorld(seed) {
+  const world = new World({
+    seed,
+    cellSize: 20,
+    chunkLoadRadius: 1,
+    useWorker: false,
+  });
+  world.grid.updateStreaming(0, 0, Infinity);
+  return world;
+}
+
+const cellFields = (world) =>
+  Object.values(world.grid.cells)
+    .map((cell) => [
+      cell.x,
+      cell.y,
+      cell.height,
+      cell.temperature,
+      cell.soilFertility,
+      cell.biome,
+    ])
+    .sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+const treeFields = (world) =>
+  [...world.trees]
+    .map((tree) => [tree.position.x, tree.position.y, tree.treeType])
+    .sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+test("the same seed generates the same cells", () => {
+  const a = createWorld(1234);
+  const b = createWorld(1234);
+
+  assert.ok(Object.keys(a.grid.cells).length > 0);
+  assert.deepEqual(cellFields(a), cellFields(b));
+  a.destroy();
+  b.destroy();
+});
+
+test("the same seed spawns the same trees", () => {
+  const a = createWorld(1234);
+  const b = createWorld(1234);
+
+  assert.ok(a.trees.size > 0);
+  assert.deepEqual(treeFields(a), treeFields(b));
+  a.destroy();
+  b.destroy();
+});
+
+test("the same seed moves animals the same way", () => {
+  const worlds = [createWorld(99), createWorld(99)];
+  const animals = worlds.map((world) =>
+    [0, 1, 2, 3].map((i) => Animal.createRandom(40 + i * 30, 60, world))
+  );
+
+  for (let frame = 0; frame < 120; frame++) {
+    worlds.forEach((world) => world.step(1 / 60));
+  }
+
+  const positions = animals.map((list) =>
+    list.map((animal) => [animal.position.x, animal.position.y])
+  );
+  assert.deepEqual(positions[0], positions[1]);
+  worlds.forEach((world) => world.destroy());
+});
+
+test("different seeds generate different cells", () => {
+  const a = createWorld(1);
+  const b = createWorld(2);
+
+  assert.notDeepEqual(cellFields(a), cellFields(b));
+  a.destroy();
+  b.destroy();
+});
@@ -0,0 +1,103 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { World } from "../core.js";
+
+/**
+ * Create a headless world without loading any chunk
+ * @param {Object} options - Extra world options
+ * @returns {World} The world
+ */
+const createWorld = (options = {}) =>
+  new World({
+    seed: 3,
+    cellSize: 20,
+    chunkLoadRadius: 1,
+    useWorker: false,
+    ...options,
+  });
+
+test("exporting several formats reads the region once", () => {
+  const world = createWorld();
+  const grid = world.grid;
+  const region = { x: -8, y: -8, width: 24, height: 24 };
+
+  let generated = 0;
+  const generateChunkData = grid.terrain.generateChunkData;
+  grid.terrain.generateChunkData = (...args) => {
+    generated++;
+    return generateChunkData.apply(grid.terrain, args);
+  };
+
+  const [colors, heights, data] = grid.exportRegion(region, [
+    "png",
+    "height",
+    "json",
+  ]);
+  // The region spans 2 x 2 chunks
+  assert.equal(generated, 4);
+
+  assert.deepEqual(colors, grid.exportRegion(region, "png"));
+  assert.deepEqual(heights, grid.exportRegion(region, "height"));
+  assert.deepEqual(data, grid.exportRegion(region, "json"));
+  world.destroy();
+});
+
+test("loaded and unloaded cells export the same terrain", () => {
+  // Chunks -1 to 1 are loaded, so the region's left half is loaded cells
+  // and its right half only exists as generated chunk data
+  const loaded = createWorld();
+  loaded.grid.updateStreaming(0, 0, Infinity);
+  const unloaded = createWorld();
+  const region = { x: 16, y: -8, width: 32, height: 24 };
+  assert.ok(loaded.grid.getLoadedCell(16, -8));
+  assert.equal(loaded.grid.getLoadedCell(47, -8), null);
+
+  const [colors, data] = loaded.grid.exportRegion(region, ["png", "json"]);
+  const [expectedColors, expected] = unloaded.grid.exportRegion(region, [
+    "png",
+    "json",
+  ]);
+
+  assert.deepEqual(colors, expectedColors);
+  assert.deepEqual(data.layers, expected.layers);
+  assert.deepEqual(data.biome, expected.biome);
+  assert.deepEqual(data.flowAccumulation, expected.flowAccumulation);
+  assert.deepEqual(data.riverDirection, expected.riverDirection);
+  assert.deepEqual(data.lake, expected.lake);
+  loaded.destroy();
+  unloaded.destroy();
+});
+
+test("loaded and unloaded cells export the same colors in winter", () => {
+  const loaded = createWorld({ startSeason: "winter" });
+  loaded.grid.updateStreaming(0, 0, Infinity);
+  const unloaded = createWorld({ startSeason: "winter" });
+  const region = { x: 16, y: -8, width: 32, height: 24 };
+
+  // Some of the region's loaded cells are snowed over
+  const snowy = Object.values(loaded.grid.cells).filter(
+    (cell) =>
+      cell.snow &&
+      cell.x >= region.x &&
+      cell.y >= region.y &&
+      cell.y < region.y + region.height
+  );
+  assert.ok(snowy.length > 0);
+
+  assert.deepEqual(
+    loaded.grid.exportRegion(region, "png"),
+    unloaded.grid.exportRegion(region, "png")
+  );
+  loaded.destroy();
+  unloaded.destroy();
+});
+
+test("unknown export formats are rejected before reading the region", () => {
+  const world = createWorld();
+  world.grid.terrain.generateChunkData = () => assert.fail("region read");
+  assert.throws(
+    () => world.grid.exportRegion({ x: 0, y: 0, width: 4, height: 4 }, ["gif"]),
+    /Unknown export format: gif/
+  );
+  world.destroy();
+});
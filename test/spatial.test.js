@@ -0,0 +1,132 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { World, Entity } from "../core.js";
+
+const cellSize = 20;
+const chunkSize = 16;
+// World X of the border between chunks 0 and 1
+const chunkBorder = cellSize * chunkSize;
+
+/**
+ * Create a headless world with the chunks around a chunk border loaded
+ * @returns {World} The world
+ */
+function createWorld() {
+  const world = new World({
+    seed: 42,
+    cellSize,
+    chunkSize,
+    chunkLoadRadius: 1,
+    useWorker: false,
+  });
+  world.grid.updateStreaming(chunkBorder, chunkBorder, Infinity);
+  return world;
+}
+
+/**
+ * Move an entity and let the grid know
+ * @param {Entity} entity - The entity
+ * @param {number} x - New world X
+ * @param {number} y - New world Y
+ */
+function moveTo(entity, x, y) {
+  entity.position.x = x;
+  entity.position.y = y;
+  entity.game.grid.updateEntity(entity);
+}
+
+test("getEntitiesInRadius finds entities across cell and chunk borders", () => {
+  const world = createWorld();
+  const center = { x: chunkBorder + 1, y: chunkBorder + 1 };
+  const offsets = [
+    [-30, 0],
+    [-1, -1],
+    [0, -25],
+    [15, 15],
+    [-20, 20],
+    [40, 0],
+    [0, -45],
+  ];
+  const entities = offsets.map(
+    ([dx, dy]) => new Entity(center.x + dx, center.y + dy, world)
+  );
+
+  const radius = 35;
+  const found = world.getEntitiesInRadius(center.x, center.y, radius);
+  const expected = entities.filter(
+    (entity) =>
+      Math.hypot(entity.position.x - center.x, entity.position.y - center.y) <=
+      radius
+  );
+
+  assert.equal(expected.length, 5);
+  assert.deepEqual(
+    new Set(expected),
+    new Set([...found].filter((entity) => entities.includes(entity)))
+  );
+  world.destroy();
+});
+
+test("getEntitiesInRadius includes entities exactly on the radius", () => {
+  const world = createWorld();
+  const entity = new Entity(chunkBorder + 30, chunkBorder, world);
+
+  const found = world.getEntitiesInRadius(chunkBorder, chunkBorder, 30);
+  assert.ok(found.has(entity));
+  world.destroy();
+});
+
+test("updateEntity moves entities between cells", () => {
+  const world = createWorld();
+  const grid = world.grid;
+  const entity = new Entity(chunkBorder - 30, chunkBorder - 30, world);
+  const start = entity.currentCell;
+
+  moveTo(entity, chunkBorder - 10, chunkBorder - 30);
+  const next = entity.currentCell;
+
+  assert.notEqual(next, start);
+  assert.equal(
+    next,
+    grid.getCellAtWorldPos(chunkBorder - 10, chunkBorder - 30)
+  );
+  assert.ok(next.getEntities().has(entity));
+  assert.ok(!start.getEntities().has(entity));
+  assert.equal(next.chunk, start.chunk);
+  world.destroy();
+});
+
+test("updateEntity moves entities between chunks", () => {
+  const world = createWorld();
+  const entity = new Entity(chunkBorder - 5, chunkBorder - 5, world);
+  const start = entity.currentCell;
+
+  moveTo(entity, chunkBorder + 5, chunkBorder + 5);
+  const next = entity.currentCell;
+
+  assert.notEqual(next.chunk, start.chunk);
+  assert.equal(next.x, chunkSize);
+  assert.equal(next.y, chunkSize);
+  assert.ok(next.getEntities().has(entity));
+  assert.ok(!start.getEntities().has(entity));
+
+  // Radius queries follow the entity to its new cell
+  assert.ok(
+    world.getEntitiesInRadius(chunkBorder + 5, chunkBorder + 5, 1).has(entity)
+  );
+  assert.ok(
+    !world.getEntitiesInRadius(chunkBorder - 5, chunkBorder - 5, 1).has(entity)
+  );
+  world.destroy();
+});
+
+test("updateEntity keeps the cell when the entity stays inside it", () => {
+  const world = createWorld();
+  const entity = new Entity(chunkBorder + 2, chunkBorder + 2, world);
+  const start = entity.currentCell;
+
+  moveTo(entity, chunkBorder + 18, chunkBorder + 18);
+  assert.equal(entity.currentCell, start);
+  assert.ok(start.getEntities().has(entity));
+  world.destroy();
+});
@@ -0,0 +1,108 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import Victor from "victor";
+import { World, Animal } from "../core.js";
+
+/**
+ * Create a headless world with the chunks around the origin loaded
+ * @returns {World} The world
+ */
+function createWorld() {
+  const world = new World({
+    seed: 7,
+    cellSize: 20,
+    chunkLoadRadius: 1,
+    useWorker: false,
+  });
+  world.grid.updateStreaming(0, 0, Infinity);
+  return world;
+}
+
+test("separation pushes an animal away from a close neighbour", () => {
+  const world = createWorld();
+  const animal = new Animal(100, 100, world);
+  new Animal(120, 100, world);
+
+  const force = animal.calculateSeparation();
+  assert.ok(force.x < 0, "pushed away along x");
+  assert.ok(Math.abs(force.y) < 1e-9);
+  assert.ok(Math.abs(force.magnitude() - animal.separationStrength) < 1e-6);
+  world.destroy();
+});
+
+test("separation ignores animals outside the separation radius", () => {
+  const world = createWorld();
+  const animal = new Animal(100, 100, world);
+  new Animal(100 + animal.separationRadius + 5, 100, world);
+
+  assert.equal(animal.calculateSeparation().magnitude(), 0);
+  world.destroy();
+});
+
+test("separation from neighbours on opposite sides cancels out", () => {
+  const world = createWorld();
+  const animal = new Animal(100, 100, world);
+  new Animal(80, 100, world);
+  new Animal(120, 100, world);
+
+  assert.ok(animal.calculateSeparation().magnitude() < 1e-6);
+  world.destroy();
+});
+
+test("the flowfield force follows the cell's flow direction", () => {
+  const world = createWorld();
+  const animal = new Animal(100, 100, world);
+  animal.currentCell.flowDirection = new Victor(0, 1);
+  animal.currentCell.flowDirectionCalculated = true;
+
+  const force = animal.calculateFlowfieldForce();
+  assert.equal(force.x, 0);
+  assert.equal(force.y, animal.flowfieldStrength);
+  world.destroy();
+});
+
+test("the flowfield force is zero on flat cells and outside the grid", () => {
+  const world = createWorld();
+  const animal = new Animal(100, 100, world);
+  animal.currentCell.flowDirection = new Victor(0, 0);
+  animal.currentCell.flowDirectionCalculated = true;
+  assert.equal(animal.calculateFlowfieldForce().magnitude(), 0);
+
+  animal.currentCell = null;
+  assert.equal(animal.calculateFlowfieldForce().magnitude(), 0);
+  world.destroy();
+});
+
+test("the wander force is capped and steers around the heading", () => {
+  const world = createWorld();
+  const animal = new Animal(100, 100, world);
+  animal.setVelocity(10, 0);
+
+  for (let i = 0; i < 50; i++) {
+    const angle = animal.wanderAngle;
+    const force = animal.calculateWanderForce();
+
+    assert.ok(force.magnitude() <= animal.maxWanderForce + 1e-9);
+    assert.ok(
+      Math.abs(animal.wanderAngle - angle) <= animal.wanderChangeRate / 2
+    );
+  }
+  world.destroy();
+});
+
+test("the wander force points ahead of a moving animal", () => {
+  const world = createWorld();
+  const animal = new Animal(100, 100, world);
+  animal.setVelocity(10, 0);
+  animal.maxWanderForce = Infinity;
+  // Wander circle straight ahead: target at wanderDistance + wanderRadius
+  animal.wanderAngle = 0;
+  animal.wanderChangeRate = 0;
+
+  const force = animal.calculateWanderForce();
+  assert.ok(
+    Math.abs(force.x - (animal.wanderDistance + animal.wanderRadius)) < 1e-9
+  );
+  assert.ok(Math.abs(force.y) < 1e-9);
+  world.destroy();
+});